@@ -3,9 +3,43 @@
 let DeployPluginBase = require('ember-cli-deploy-plugin');
 let path = require('path');
 let fs = require('fs');
+let os = require('os');
 let RSVP = require('rsvp');
 let denodeify = require('rsvp').denodeify;
 let readFile  = denodeify(fs.readFile);
+let stat = denodeify(fs.stat);
+let glob = denodeify(require('glob'));
+let pkg = require('./package.json');
+let ZKError = require('./lib/zookeeper-error');
+let zkEnvelope = require('./lib/zookeeper-envelope');
+
+// What to do about the ZooKeeper errors that have a likely fix, called with the plugin as `this`.
+let ERROR_HINTS = {
+  [ZKError.ZCONNECTIONLOSS]: function() {
+    return 'Check that ZooKeeper is reachable at `' + this.readConfig('connect') + '`, or allow more attempts with the `retry` option';
+  },
+  [ZKError.ZOPERATIONTIMEOUT]: function() {
+    return 'Check that ZooKeeper is reachable at `' + this.readConfig('connect') + '`, or raise `connectionTimeout`';
+  },
+  [ZKError.ZSESSIONEXPIRED]: function() {
+    return 'The deploy lock and any other ephemeral nodes went with the session, run the deploy again';
+  },
+  [ZKError.ZAUTHFAILED]: function() {
+    return 'Check the credentials in the `auth` option';
+  },
+  [ZKError.ZNOAUTH]: function() {
+    return 'The node\'s ACL does not allow this for the identities in the `auth` option';
+  },
+  [ZKError.ZNONODE]: function() {
+    return '`ember deploy:list` shows the revisions uploaded under `' + this.readConfig('keyPrefix') + '`';
+  },
+  [ZKError.ZNODEEXISTS]: function() {
+    return 'Deploy with a new `revisionKey`, or set `allowOverwrite` to replace it';
+  },
+  [ZKError.ZBADVERSION]: function() {
+    return 'It was changed by somebody else in the meantime, try again or serialize deploys with the `lock` option';
+  }
+};
 
 module.exports = {
   name: 'ember-cli-deploy-zookeeper',
@@ -18,7 +52,15 @@ module.exports = {
       defaultConfig: {
         connect: 'localhost:2181',
         files: ['index.html'],
+        filePattern: null,
+        excludePattern: null,
+        maxFiles: 50,
+        maxTotalSize: 5 * 1024 * 1024,
         connectionTimeout: 2000,
+        auth: [],
+        transactional: false,
+        lock: false,
+        lockTimeout: 60000,
         distDir: function(context) {
           return context.distDir;
         },
@@ -37,6 +79,30 @@ module.exports = {
         revisionKey: function(context) {
           return context.commandOptions.revision || (context.revisionData && context.revisionData.revisionKey);
         },
+        force: function(context) {
+          return !!(context.commandOptions && context.commandOptions.force);
+        },
+        channel: function(context) {
+          return context.commandOptions && context.commandOptions.channel;
+        },
+        rollback: function(context) {
+          return !!(context.commandOptions && context.commandOptions.rollback);
+        },
+        reason: function(context) {
+          return context.commandOptions && context.commandOptions.reason;
+        },
+        canary: function(context) {
+          return context.commandOptions && context.commandOptions.canary;
+        },
+        pin: function(context) {
+          return context.commandOptions && context.commandOptions.pin;
+        },
+        unpin: function(context) {
+          return context.commandOptions && context.commandOptions.unpin;
+        },
+        dryRun: function(context) {
+          return !!(context.commandOptions && context.commandOptions.dryRun);
+        },
         zookeeperDeployClient: function(context) {
           let zkOptions = this;
           let zkLib = context._zkLib;
@@ -46,67 +112,201 @@ module.exports = {
 
       requiredConfig: ['connect', 'files', 'distDir', 'keyPrefix', 'revisionKey', 'didDeployMessage', 'zookeeperDeployClient'],
 
+      setup: function(/* context */) {
+        // One session for the whole pipeline, closed again in teardown.
+        let zkDeployClient = this._deployClient();
+
+        return RSVP.resolve(zkDeployClient.connect())
+          .then(this.log.bind(this, 'Connected to ZooKeeper at `' + this.readConfig('connect') + '`', { verbose: true }))
+          .catch(this._errorMessage.bind(this));
+      },
+
       willDeploy: function(/* context */) {
-        let zkDeployClient = this.readConfig('zookeeperDeployClient');
+        let zkDeployClient = this._deployClient();
         let keyPrefix = this.readConfig('keyPrefix');
-        this.log('Validating presence of required paths for `' + keyPrefix + '`');
-        return zkDeployClient.willDeploy(keyPrefix);
+        return this._acquireLock(zkDeployClient, keyPrefix, 'willDeploy')
+          .then(this.log.bind(this, 'Validating presence of required paths for `' + keyPrefix + '`', {}))
+          .then(zkDeployClient.willDeploy.bind(zkDeployClient, keyPrefix))
+          .then(zkDeployClient.findAclMismatches.bind(zkDeployClient, keyPrefix))
+          .then(this._aclMismatchMessages.bind(this))
+          .then(this._dryRunMessages.bind(this, 'willDeploy'))
+          .catch(this._errorMessage.bind(this));
       },
 
       upload: function(/* context */) {
-        let zkDeployClient = this.readConfig('zookeeperDeployClient');
+        let zkDeployClient = this._deployClient();
         let revisionKey = this.readConfig('revisionKey');
         let distDir = this.readConfig('distDir');
-        let files = this.readConfig('files');
         let keyPrefix = this.readConfig('keyPrefix');
+        let uploadFiles = this.readConfig('transactional') ? this._uploadFilesAtomically : this._uploadFiles;
         let self = this;
-        let paths = [];
+        let manifestFiles = [];
+        let paths;
 
-        return files.reduce(function(promise, fileName) {
-            return promise
-              .then(self._uploadFile.bind(self, zkDeployClient, distDir, fileName, keyPrefix, revisionKey))
-              .then(function(key) {
-                return paths.push({ zkKey: key });
-              });
-          }, RSVP.resolve())
-          .then(zkDeployClient.trimRecentUploads.bind(zkDeployClient, keyPrefix, revisionKey))
+        return this._filesToUpload(distDir)
+          .then(function(files) {
+            return uploadFiles.call(self, zkDeployClient, distDir, files, keyPrefix, revisionKey, manifestFiles);
+          })
+          .then(function(keys) {
+            paths = keys.map(function(key) {
+              return { zkKey: key };
+            });
+          })
+          .then(this._applyPins.bind(this, zkDeployClient, keyPrefix))
+          .then(function() {
+            return zkDeployClient.trimRecentUploads(keyPrefix, revisionKey, self._manifest(manifestFiles));
+          })
+          .then(this._trimMessages.bind(this))
           .then(function() {
             return paths;
           })
-          .catch(self._errorMessage.bind(self));
+          .then(this._dryRunMessages.bind(this, 'upload'))
+          .catch(function(error) {
+            // Remembered for didFail, which removes whatever this upload managed to write.
+            self._failedUpload = { zkDeployClient: zkDeployClient, keyPrefix: keyPrefix, revisionKey: revisionKey };
+            return self._errorMessage(error);
+          });
       },
 
       willActivate: function() {
-        let zkDeployClient = this.readConfig('zookeeperDeployClient');
+        let zkDeployClient = this._deployClient();
         let keyPrefix = this.readConfig('keyPrefix');
 
-        return RSVP.resolve(zkDeployClient.activeRevision(keyPrefix))
-          .then(function(revisionKey) {
+        let channel = this.readConfig('channel');
+
+        return this._acquireLock(zkDeployClient, keyPrefix, 'willActivate')
+          .then(zkDeployClient.activeRevisionState.bind(zkDeployClient, keyPrefix, channel))
+          .then(function(state) {
             return {
               revisionData: {
-                previousRevisionKey: revisionKey
+                previousRevisionKey: state.revision,
+                previousRevisionVersion: state.version
               }
             };
           })
           .catch(this._errorMessage.bind(this));
       },
 
-      activate: function() {
-        let zkDeployClient = this.readConfig('zookeeperDeployClient');
-        let revisionKey = this.readConfig('revisionKey');
+      activate: function(context) {
+        let zkDeployClient = this._deployClient();
         let keyPrefix = this.readConfig('keyPrefix');
+        let revisionData = context.revisionData || {};
+        let expectedVersion = revisionData.previousRevisionVersion;
 
-        this.log('Activating revision `' + revisionKey + '`', { verbose: true });
-        return RSVP.resolve(zkDeployClient.activate(keyPrefix, revisionKey))
-          .then(this.log.bind(this, '✔ Activated revision `' + revisionKey + '`', {}))
-          .then(function(){
+        if (this.readConfig('force') || expectedVersion === undefined) {
+          expectedVersion = -1;
+        }
+
+        let activation = {
+          zkDeployClient: zkDeployClient,
+          keyPrefix: keyPrefix,
+          revisionKey: this.readConfig('revisionKey'),
+          channel: this.readConfig('channel'),
+          expectedVersion: expectedVersion,
+          info: this._activationInfo()
+        };
+        let activateRevision = this._activateRevision;
+
+        if (this.readConfig('canary')) {
+          activateRevision = this._activateCanary;
+        } else if (this.readConfig('rollback')) {
+          activateRevision = this._rollback;
+        }
+
+        return this._applyPins(zkDeployClient, keyPrefix)
+          .then(activateRevision.bind(this, activation))
+          .then(this._dryRunMessages.bind(this, 'activate'))
+          .catch(this._errorMessage.bind(this));
+      },
+
+      _activateRevision: function(activation) {
+        let self = this;
+        let target = '`' + activation.revisionKey + '`' + this._channelSuffix(activation.channel);
+
+        this.log('Activating revision ' + target, { verbose: true });
+        return RSVP.resolve(activation.zkDeployClient.activate(
+            activation.keyPrefix,
+            activation.revisionKey,
+            this._activationOptions(activation)
+          ))
+          .then(function(result) {
+            self.log('✔ Activated revision ' + target, {});
             return {
               revisionData: {
-                activatedRevisionKey: revisionKey
+                activatedRevisionKey: activation.revisionKey,
+                verifiedChecksums: result && result.checksums
               }
             };
-          })
-          .catch(this._errorMessage.bind(this));
+          });
+      },
+
+      _rollback: function(activation) {
+        // `ember deploy:activate` insists on a --revision, but a rollback works out its own.
+        let self = this;
+
+        return RSVP.resolve(activation.zkDeployClient.rollback(
+            activation.keyPrefix,
+            this._activationOptions(activation)
+          ))
+          .then(function(result) {
+            self.log('✔ Rolled back to revision `' + result.revisionKey + '`' + self._channelSuffix(activation.channel), {});
+            return {
+              revisionData: {
+                activatedRevisionKey: result.revisionKey,
+                verifiedChecksums: result.checksums
+              }
+            };
+          });
+      },
+
+      _activateCanary: function(activation) {
+        // `canary` is a weight to start or reweight a canary, `promote` or `abort`.
+        let self = this;
+        let canary = this.readConfig('canary');
+        let zkDeployClient = activation.zkDeployClient;
+        let keyPrefix = activation.keyPrefix;
+        let channel = activation.channel;
+        let on = this._channelSuffix(channel);
+
+        if (canary === 'promote') {
+          return RSVP.resolve(zkDeployClient.promoteCanary(keyPrefix, this._activationOptions(activation)))
+            .then(function(result) {
+              self.log('✔ Promoted canary `' + result.revisionKey + '`' + on + ' to primary', {});
+              return { revisionData: { activatedRevisionKey: result.revisionKey } };
+            });
+        }
+
+        if (canary === 'abort') {
+          return RSVP.resolve(zkDeployClient.abortCanary(keyPrefix, channel))
+            .then(function(routing) {
+              self.log('Aborted canary `' + routing.canary + '`' + on + ', all traffic goes to `' + routing.primary + '`', {});
+              return { revisionData: { abortedCanary: routing } };
+            });
+        }
+
+        // `--canary=10` arrives as a string.
+        let revisionKey = activation.revisionKey;
+        let weight = typeof canary === 'string' ? Number(canary) : canary;
+        return RSVP.resolve(zkDeployClient.startCanary(keyPrefix, revisionKey, weight, channel))
+          .then(function(result) {
+            self.log(
+              '✔ Routing ' + weight + '% of traffic to canary `' + revisionKey + '`' + on +
+              ', `' + result.routing.primary + '` stays primary',
+              {}
+            );
+            return { revisionData: { canary: result.routing, verifiedChecksums: result.checksums } };
+          });
+      },
+
+      _channelSuffix: function(channel) {
+        return channel ? ' on channel `' + channel + '`' : '';
+      },
+
+      didActivate: function(/* context */) {
+        // `ember deploy:activate` has no didDeploy, so release a lock taken just for activating.
+        if (this._deployLockHook === 'willActivate') {
+          return this._releaseLock();
+        }
       },
 
       didDeploy: function(/* context */) {
@@ -114,38 +314,378 @@ module.exports = {
         if (didDeployMessage) {
           this.log(didDeployMessage);
         }
+
+        return this._releaseLock();
+      },
+
+      didFail: function(/* context */) {
+        // Clean up before releasing the lock so no other deploy sees the partial revision.
+        let self = this;
+
+        return this._cleanUpFailedUpload()
+          .catch(function(error) {
+            self.log('Failed to clean up the failed upload: ' + (error && error.message || error), { color: 'red' });
+          })
+          .then(this._releaseLock.bind(this))
+          .catch(this.log.bind(this, 'Failed to release the deploy lock', { color: 'red' }));
+      },
+
+      _cleanUpFailedUpload: function() {
+        // Only nodes this run created for the revision are removed, anything that was there before stays.
+        let failedUpload = this._failedUpload;
+
+        if (!failedUpload) {
+          return RSVP.resolve();
+        }
+
+        let self = this;
+        let zkDeployClient = failedUpload.zkDeployClient;
+        let revisionKey = failedUpload.revisionKey;
+        let paths = zkDeployClient.createdNodes(failedUpload.keyPrefix, revisionKey);
+        this._failedUpload = null;
+
+        if (!paths.length) {
+          this.log('The failed upload of revision `' + revisionKey + '` left nothing to clean up', {});
+          return RSVP.resolve();
+        }
+
+        return RSVP.resolve(zkDeployClient.removeNodes(paths))
+          .then(function(result) {
+            result.removed.forEach(function(path) {
+              self.log('Removed `' + path + '`', { verbose: true });
+            });
+            result.kept.forEach(function(kept) {
+              self.log('Could not remove `' + kept.path + '`: ' + (kept.error && kept.error.message || kept.error), { color: 'yellow' });
+            });
+            self.log(
+              'Cleaned up the failed upload of revision `' + revisionKey + '`: removed ' + result.removed.length +
+              ' of ' + paths.length + ' node(s) it created',
+              {}
+            );
+          });
+      },
+
+      teardown: function(/* context */) {
+        // Runs at the end of every pipeline, failed ones included, so the CLI never waits on an open session.
+        let zkDeployClient = this._zkDeployClient;
+
+        if (!zkDeployClient) {
+          return RSVP.resolve();
+        }
+
+        this._zkDeployClient = null;
+        return RSVP.resolve(zkDeployClient.close())
+          .then(this.log.bind(this, 'Closed the ZooKeeper session', { verbose: true }));
       },
 
       fetchRevisions: function() {
-        let zkDeployClient = this.readConfig('zookeeperDeployClient');
+        let zkDeployClient = this._deployClient();
         let keyPrefix = this.readConfig('keyPrefix');
 
-        this.log('Listing revision for key: `' + keyPrefix + '`');
-        return RSVP.resolve(zkDeployClient.fetchRevisions(keyPrefix))
+        return this._applyPins(zkDeployClient, keyPrefix)
+          .then(this.log.bind(this, 'Listing revision for key: `' + keyPrefix + '`', {}))
+          .then(zkDeployClient.fetchRevisions.bind(zkDeployClient, keyPrefix))
           .then(function(revisions) {
             return { revisions: revisions };
           })
+          .then(this._dryRunMessages.bind(this, 'fetchRevisions'))
           .catch(this._errorMessage.bind(this));
       },
 
-      _uploadFile: function(zkDeployClient, distDir, fileName, keyPrefix, revisionKey) {
+      _deployClient: function() {
+        // Every hook of a run shares the client, and with it the session and, in a dry run, the plan.
+        let zkDeployClient = this._zkDeployClient;
+
+        if (!zkDeployClient) {
+          zkDeployClient = this._zkDeployClient = this.readConfig('zookeeperDeployClient');
+
+          // Clients injected for testing may not retry or report their session at all.
+          if (typeof zkDeployClient.onRetry === 'function') {
+            zkDeployClient.onRetry(this._retryMessage.bind(this));
+          }
+
+          if (typeof zkDeployClient.onStateChange === 'function') {
+            zkDeployClient.onStateChange(this._sessionMessage.bind(this));
+          }
+        }
+
+        if (this.readConfig('dryRun')) {
+          this._dryRunPlan = zkDeployClient.dryRun(this._dryRunPlan || {});
+        }
+
+        return zkDeployClient;
+      },
+
+      _acquireLock: function(zkDeployClient, keyPrefix, hookName) {
+        // A dry run writes nothing, so it has nothing to serialize.
+        if (!this.readConfig('lock') || this._deployLock || this.readConfig('dryRun')) {
+          return RSVP.resolve();
+        }
+
+        let self = this;
+        let owner = {
+          hostname: os.hostname(),
+          user: this._username(),
+          pid: process.pid,
+          revision: this.readConfig('revisionKey')
+        };
+
+        this.log('Acquiring deploy lock for `' + keyPrefix + '`', { verbose: true });
+        return RSVP.resolve(zkDeployClient.acquireLock(keyPrefix, owner, this.readConfig('lockTimeout')))
+          .then(function(lock) {
+            self._deployLock = lock;
+            self._deployLockHook = hookName;
+            self.log('Acquired deploy lock `' + lock.path + '`', { verbose: true });
+          });
+      },
+
+      _releaseLock: function() {
+        let lock = this._deployLock;
+
+        if (!lock) {
+          return RSVP.resolve();
+        }
+
+        this._deployLock = null;
+        this._deployLockHook = null;
+        return RSVP.resolve(lock.release())
+          .then(this.log.bind(this, 'Released deploy lock', { verbose: true }));
+      },
+
+      _activationOptions: function(activation) {
+        return {
+          expectedVersion: activation.expectedVersion,
+          channel: activation.channel,
+          info: activation.info
+        };
+      },
+
+      _activationInfo: function() {
+        return {
+          deployer: this._username(),
+          hostname: os.hostname(),
+          reason: this.readConfig('reason')
+        };
+      },
+
+      _applyPins: function(zkDeployClient, keyPrefix) {
+        // `pin` and `unpin` take `true` for the revision being deployed, or revision keys.
+        if (this._pinsApplied) {
+          return RSVP.resolve();
+        }
+
+        let self = this;
+        let owner = { user: this._username(), hostname: os.hostname() };
+        let pins = this._pinTargets(this.readConfig('pin'));
+        let unpins = this._pinTargets(this.readConfig('unpin'));
+        this._pinsApplied = true;
+
+        let promise = unpins.reduce(function(promise, revisionKey) {
+          return promise
+            .then(zkDeployClient.unpin.bind(zkDeployClient, keyPrefix, revisionKey))
+            .then(self.log.bind(self, 'Unpinned revision `' + revisionKey + '`', {}));
+        }, RSVP.resolve());
+
+        return pins.reduce(function(promise, revisionKey) {
+          return promise
+            .then(zkDeployClient.pin.bind(zkDeployClient, keyPrefix, revisionKey, owner))
+            .then(self.log.bind(self, 'Pinned revision `' + revisionKey + '`', {}));
+        }, promise);
+      },
+
+      _pinTargets: function(value) {
+        if (value === true) {
+          let revisionKey = this.readConfig('revisionKey');
+          return revisionKey ? [revisionKey] : [];
+        }
+
+        if (!value) {
+          return [];
+        }
+
+        return [].concat(value).map(String);
+      },
+
+      _username: function() {
+        try {
+          return os.userInfo().username;
+        } catch (e) {
+          return process.env.USER || process.env.USERNAME;
+        }
+      },
+
+      _filesToUpload: function(distDir) {
+        // `filePattern` is matched against `distDir` when set, otherwise `files` is uploaded as listed.
+        let filePattern = this.readConfig('filePattern');
+        let files = filePattern ? this._matchFiles(distDir, filePattern) : RSVP.resolve(this.readConfig('files'));
+
+        return files
+          .then(this._checkRequiredFiles.bind(this))
+          .then(this._checkUploadLimits.bind(this, distDir));
+      },
+
+      _checkRequiredFiles: function(files) {
+        // Activation refuses a revision without every file in `files`, so don't upload one in the first place.
+        let missing = this.readConfig('files').filter(function(fileName) {
+          return files.indexOf(fileName) === -1;
+        });
+
+        if (missing.length) {
+          return RSVP.reject(new Error(
+            '`filePattern` did not match ' + missing.map(function(fileName) {
+              return '`' + fileName + '`';
+            }).join(', ') + ', which `files` requires for activation. ' +
+            'Widen `filePattern` or set `files` to the files every revision must contain'
+          ));
+        }
+
+        return files;
+      },
+
+      _matchFiles: function(distDir, filePattern) {
+        let patterns = [].concat(filePattern);
+        let options = {
+          cwd: distDir,
+          dot: true,
+          nodir: true,
+          ignore: [].concat(this.readConfig('excludePattern') || [])
+        };
+
+        return RSVP.all(patterns.map(function(pattern) {
+          return glob(pattern, options);
+        })).then(function(matches) {
+          let files = [].concat.apply([], matches).filter(function(file, index, all) {
+            return all.indexOf(file) === index;
+          });
+
+          if (!files.length) {
+            return RSVP.reject(new Error(
+              '`filePattern` ' + patterns.map(function(pattern) {
+                return '`' + pattern + '`';
+              }).join(', ') + ' matched no files in `' + distDir + '`'
+            ));
+          }
+
+          return files;
+        });
+      },
+
+      _checkUploadLimits: function(distDir, files) {
+        // ZooKeeper is no place for a whole dist directory, so refuse what looks like one.
+        let maxFiles = this.readConfig('maxFiles');
+        let maxTotalSize = this.readConfig('maxTotalSize');
+
+        if (files.length > maxFiles) {
+          return RSVP.reject(new Error(
+            'Refusing to upload ' + files.length + ' files, more than `maxFiles` (' + maxFiles + '). ' +
+            'Narrow down `filePattern` or raise `maxFiles`'
+          ));
+        }
+
+        return RSVP.all(files.map(function(fileName) {
+          return stat(path.join(distDir, fileName));
+        })).then(function(stats) {
+          let totalSize = stats.reduce(function(total, stats) {
+            return total + stats.size;
+          }, 0);
+
+          if (totalSize > maxTotalSize) {
+            return RSVP.reject(new Error(
+              'Refusing to upload ' + totalSize + ' bytes, more than `maxTotalSize` (' + maxTotalSize + '). ' +
+              'Narrow down `filePattern` or raise `maxTotalSize`'
+            ));
+          }
+
+          return files;
+        });
+      },
+
+      _uploadFiles: function(zkDeployClient, distDir, files, keyPrefix, revisionKey, manifestFiles) {
+        let self = this;
+        let keys = [];
+
+        return files.reduce(function(promise, fileName) {
+          return promise
+            .then(self._uploadFile.bind(self, zkDeployClient, distDir, fileName, keyPrefix, revisionKey, manifestFiles))
+            .then(function(key) {
+              keys.push(key);
+            });
+        }, RSVP.resolve()).then(function() {
+          return keys;
+        });
+      },
+
+      _uploadFilesAtomically: function(zkDeployClient, distDir, files, keyPrefix, revisionKey, manifestFiles) {
+        let self = this;
+        this.log('Uploading ' + files.length + ' file(s) to `/' + keyPrefix + '/' + revisionKey + '` in one transaction', { verbose: true });
+
+        return RSVP.all(files.map(function(fileName) {
+            return self._readFileContents(path.join(distDir, fileName)).then(function(value) {
+              return { fileName: fileName, value: value, sha256: zkEnvelope.sha256(value) };
+            });
+          }))
+          .then(function(files) {
+            files.forEach(function(file) {
+              manifestFiles.push(self._manifestEntry(file));
+            });
+            return zkDeployClient.uploadRevision(keyPrefix, revisionKey, files, self._manifest(manifestFiles));
+          })
+          .then(function(keys) {
+            return RSVP.all(keys.map(self._uploadSuccessMessage, self));
+          });
+      },
+
+      _uploadFile: function(zkDeployClient, distDir, fileName, keyPrefix, revisionKey, manifestFiles) {
         let filePath = path.join(distDir, fileName);
         this.log(
           'Uploading `' + filePath + '` to `/' + keyPrefix + '/' + revisionKey + '/' + fileName + '`',
           { verbose: true }
         );
 
+        let self = this;
+        let key;
+
         return RSVP.resolve()
           .then(this._readFileContents.bind(this, filePath))
-          .then(zkDeployClient.upload.bind(zkDeployClient, keyPrefix, revisionKey, fileName))
-          .then(this._uploadSuccessMessage.bind(this));
+          .then(function(value) {
+            let checksum = zkEnvelope.sha256(value);
+
+            manifestFiles.push(self._manifestEntry({ fileName: fileName, value: value, sha256: checksum }));
+
+            return RSVP.resolve(zkDeployClient.upload(keyPrefix, revisionKey, fileName, value))
+              .then(function(uploadedKey) {
+                key = uploadedKey;
+                return zkDeployClient.uploadChecksum(keyPrefix, revisionKey, fileName, checksum);
+              });
+          })
+          .then(function() {
+            return self._uploadSuccessMessage(key);
+          });
+      },
+
+      _manifestEntry: function(file) {
+        return { name: file.fileName, size: file.value.length, sha256: file.sha256 };
+      },
+
+      _manifest: function(files) {
+        // Stored as the revision's registry entry so `ember deploy:list` can show who deployed what.
+        let context = this.context || {};
+        let scm = (context.revisionData && context.revisionData.scm) || {};
+
+        return {
+          files: files,
+          deployer: this._username(),
+          hostname: os.hostname(),
+          gitSha: scm.sha,
+          gitBranch: scm.branch,
+          deployTarget: context.deployTarget,
+          pluginVersion: pkg.version
+        };
       },
 
       _readFileContents: function(path) {
-        return readFile(path)
-          .then(function(buffer) {
-            return buffer.toString();
-          });
+        // Keep the raw bytes so binary files reach ZooKeeper untouched.
+        return readFile(path);
       },
 
       _uploadSuccessMessage: function(key) {
@@ -153,9 +693,82 @@ module.exports = {
         return RSVP.resolve(key);
       },
 
+      _trimMessages: function(removed) {
+        (removed || []).forEach(function(removal) {
+          this.log('Removed revision `' + removal.revision + '`: ' + removal.reasons.join(', '));
+        }, this);
+      },
+
+      _retryMessage: function(retry) {
+        this.log(
+          'Retrying `' + retry.operation + '`' + (retry.path ? ' of `' + retry.path + '`' : '') + ' in ' + retry.delay + 'ms ' +
+          '(attempt ' + retry.attempt + ' of ' + retry.maxAttempts + ') after: ' + (retry.error && retry.error.message || retry.error),
+          { verbose: true }
+        );
+      },
+
+      _sessionMessage: function(state, previous, error) {
+        // Opening and closing the session are logged by `setup` and `teardown`.
+        if (state === 'reconnecting') {
+          this.log('Lost the connection to ZooKeeper, reconnecting', { color: 'yellow' });
+        } else if (state === 'connected' && previous === 'reconnecting') {
+          this.log('Reconnected to ZooKeeper', { verbose: true });
+        } else if (error && previous !== 'connecting') {
+          this.log('The ZooKeeper session ended: ' + (error.message || error), { color: 'red' });
+        }
+      },
+
+      _dryRunMessages: function(hookName, result) {
+        // Lists the writes `hookName` would have made and forgets them, so each hook only lists its own.
+        let plan = this._dryRunPlan;
+
+        if (!plan) {
+          return result;
+        }
+
+        let mutations = plan.mutations.splice(0);
+        this.log('Dry run of `' + hookName + '`, nothing was written' + (mutations.length ? ', it would:' : ' and nothing would be'), {});
+        mutations.forEach(function(mutation) {
+          let message = '  ' + mutation.type + ' `' + mutation.path + '`';
+
+          if (mutation.bytes !== undefined) {
+            message += ' (' + mutation.bytes + ' bytes)';
+          }
+
+          if (mutation.allowed === false) {
+            this.log(message + ', which the ACL of `' + mutation.checkedPath + '` does not allow', { color: 'yellow' });
+          } else {
+            this.log(message, {});
+          }
+        }, this);
+
+        return result;
+      },
+
+      _aclMismatchMessages: function(mismatches) {
+        mismatches.forEach(function(mismatch) {
+          this.log(
+            'ACL of `' + mismatch.path + '` is `' + mismatch.actual + '` but `' + mismatch.expected + '` is configured',
+            { color: 'yellow' }
+          );
+        }, this);
+      },
+
       _errorMessage: function(error) {
-        this.log(error, { color: 'red' });
+        this.log(this._describeError(error), { color: 'red' });
         return RSVP.reject(error);
+      },
+
+      _describeError: function(error) {
+        // ZooKeeper errors also tell which request failed and, where there is one, the likely fix.
+        if (!(error instanceof ZKError)) {
+          return error;
+        }
+
+        let request = error.operation ? ' (`' + error.operation + '`' + (error.path ? ' of `' + error.path + '`' : '') + ')' : '';
+        let hint = ERROR_HINTS[error.code];
+
+        return error.message + request + (hint ? '. ' + hint.call(this) : '');
       }
     });
 
@@ -0,0 +1,151 @@
+'use strict';
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const RULES = ['keep', 'maxAge', 'keepActivated'];
+
+// What the plugin always did: keep the 10 most recent uploads besides the
+// active revision.
+const DEFAULT_POLICY = { keep: 10 };
+
+// Turns the `retention` config option into `{ keep, maxAge, keepActivated }`
+// with `maxAge` in milliseconds. A plain number is short for `{ keep: n }`.
+function parse(retention) {
+  if (retention === undefined || retention === null) {
+    return Object.assign({}, DEFAULT_POLICY);
+  }
+
+  if (typeof retention === 'number') {
+    retention = { keep: retention };
+  }
+
+  if (typeof retention !== 'object' || Array.isArray(retention)) {
+    throw new Error('The `retention` option must be a number or an object with any of: ' + RULES.join(', '));
+  }
+
+  Object.keys(retention).forEach(function(rule) {
+    if (RULES.indexOf(rule) === -1) {
+      throw new Error('Unknown retention rule `' + rule + '`, expected any of: ' + RULES.join(', '));
+    }
+  });
+
+  let policy = {};
+
+  if (retention.keep !== undefined) {
+    policy.keep = parseCount('keep', retention.keep);
+  }
+
+  if (retention.maxAge !== undefined) {
+    policy.maxAge = parseDuration(retention.maxAge);
+  }
+
+  if (retention.keepActivated !== undefined) {
+    policy.keepActivated = parseCount('keepActivated', retention.keepActivated);
+  }
+
+  if (!Object.keys(policy).length) {
+    throw new Error('The `retention` option needs at least one of: ' + RULES.join(', '));
+  }
+
+  return policy;
+}
+
+function parseCount(rule, value) {
+  if (typeof value !== 'number' || value < 0 || Math.floor(value) !== value) {
+    throw new Error('The `' + rule + '` retention rule must be a whole number, got `' + value + '`');
+  }
+
+  return value;
+}
+
+// Accepts milliseconds or a string such as `90m`, `12h`, `14d` or `2w`.
+function parseDuration(value) {
+  if (typeof value === 'number' && value >= 0) {
+    return value;
+  }
+
+  let match = /^(\d+)\s*([smhdw])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error('The `maxAge` retention rule must be milliseconds or a duration such as `14d`, got `' + value + '`');
+  }
+
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+function describeDuration(ms) {
+  let units = Object.keys(DURATION_UNITS).reverse();
+  for (let i = 0; i < units.length; i++) {
+    if (ms >= DURATION_UNITS[units[i]] && ms % DURATION_UNITS[units[i]] === 0) {
+      return (ms / DURATION_UNITS[units[i]]) + units[i];
+    }
+  }
+
+  return ms + 'ms';
+}
+
+// Decides which of `revisions` (as listed by `fetchRevisions`) to remove.
+// A revision survives if any rule keeps it. The active revision, pinned
+// ones, those live on a channel or as a canary and `current`, the one just
+// uploaded, always survive. Returns `{ kept, removed }` where each removed
+// entry carries the `reasons` no rule kept it.
+function apply(policy, revisions, now, current) {
+  now = now || new Date().getTime();
+
+  let inactive = revisions.filter(function(revision) {
+    return !isProtected(revision);
+  });
+  let newestUploads = inactive.slice().sort(function(a, b) {
+    return b.timestamp - a.timestamp;
+  }).slice(0, policy.keep);
+  let lastActivated = revisions.filter(function(revision) {
+    return revision.activatedAt;
+  }).sort(function(a, b) {
+    return b.activatedAt - a.activatedAt;
+  }).slice(0, policy.keepActivated);
+
+  let kept = revisions.filter(isProtected);
+  let removed = [];
+
+  inactive.forEach(function(revision) {
+    let reasons = [];
+
+    if (policy.keep !== undefined && newestUploads.indexOf(revision) === -1) {
+      reasons.push('not among the ' + policy.keep + ' most recent uploads');
+    }
+
+    if (policy.maxAge !== undefined && now - revision.timestamp > policy.maxAge) {
+      reasons.push('older than ' + describeDuration(policy.maxAge));
+    }
+
+    if (policy.keepActivated !== undefined && lastActivated.indexOf(revision) === -1) {
+      reasons.push('not among the ' + policy.keepActivated + ' most recently activated');
+    }
+
+    // Every configured rule has to let go of a revision before it is removed.
+    // The revision just uploaded still counts towards `keep`, but `keep: 0`
+    // or a `keepActivated` rule must not remove it before it can be activated.
+    if (reasons.length === Object.keys(policy).length && revision.revision !== current) {
+      removed.push({ revision: revision.revision, reasons: reasons });
+    } else {
+      kept.push(revision);
+    }
+  });
+
+  return { kept: kept, removed: removed };
+}
+
+function isProtected(revision) {
+  return revision.active || revision.pinned || revision.canary || !!(revision.channels && revision.channels.length);
+}
+
+module.exports = {
+  DEFAULT_POLICY: DEFAULT_POLICY,
+  parse: parse,
+  apply: apply
+};
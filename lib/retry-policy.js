@@ -0,0 +1,91 @@
+'use strict';
+
+const ZKError = require('./zookeeper-error');
+
+const OPTIONS = ['maxAttempts', 'baseDelay', 'maxDelay', 'jitter', 'retryOn'];
+
+// Three attempts, 100ms apart and doubling from there, for the errors a
+// dropped connection or a leader election cause.
+const DEFAULT_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 100,
+  maxDelay: 5000,
+  jitter: 0.2,
+  retryOn: ZKError.RETRYABLE_CODES.slice()
+};
+
+// Turns the `retry` config option into a full policy. `false` turns
+// retrying off, an object overrides any of the defaults. `retryOn` takes
+// error names such as `ZCONNECTIONLOSS` or their codes.
+function parse(retry) {
+  if (retry === undefined || retry === null || retry === true) {
+    return Object.assign({}, DEFAULT_POLICY);
+  }
+
+  if (retry === false) {
+    return Object.assign({}, DEFAULT_POLICY, { maxAttempts: 1 });
+  }
+
+  if (typeof retry !== 'object' || Array.isArray(retry)) {
+    throw new Error('The `retry` option must be `false` or an object with any of: ' + OPTIONS.join(', '));
+  }
+
+  Object.keys(retry).forEach(function(option) {
+    if (OPTIONS.indexOf(option) === -1) {
+      throw new Error('Unknown retry option `' + option + '`, expected any of: ' + OPTIONS.join(', '));
+    }
+  });
+
+  let policy = Object.assign({}, DEFAULT_POLICY, retry);
+
+  if (typeof policy.maxAttempts !== 'number' || policy.maxAttempts < 1 || Math.floor(policy.maxAttempts) !== policy.maxAttempts) {
+    throw new Error('The `maxAttempts` retry option must be a whole number of at least 1, got `' + policy.maxAttempts + '`');
+  }
+
+  ['baseDelay', 'maxDelay'].forEach(function(option) {
+    if (typeof policy[option] !== 'number' || policy[option] < 0) {
+      throw new Error('The `' + option + '` retry option must be milliseconds, got `' + policy[option] + '`');
+    }
+  });
+
+  if (typeof policy.jitter !== 'number' || policy.jitter < 0 || policy.jitter > 1) {
+    throw new Error('The `jitter` retry option must be between 0 and 1, got `' + policy.jitter + '`');
+  }
+
+  policy.retryOn = [].concat(policy.retryOn).map(parseCode);
+
+  return policy;
+}
+
+function parseCode(code) {
+  if (typeof code === 'number') {
+    return code;
+  }
+
+  if (typeof ZKError[code] !== 'number') {
+    throw new Error('Unknown ZooKeeper error `' + code + '` in the `retryOn` retry option');
+  }
+
+  return ZKError[code];
+}
+
+// How long to wait before the retry that follows `attempt`: the base delay
+// doubled for every attempt so far, capped at `maxDelay` and spread by up
+// to `jitter` either way so concurrent deploys don't retry in lockstep.
+function delay(policy, attempt, random) {
+  random = random === undefined ? Math.random() : random;
+
+  let backoff = Math.min(policy.baseDelay * Math.pow(2, attempt - 1), policy.maxDelay);
+  return Math.round(backoff * (1 - policy.jitter + 2 * policy.jitter * random));
+}
+
+function isRetryable(policy, error) {
+  return !!error && policy.retryOn.indexOf(error.code) > -1;
+}
+
+module.exports = {
+  DEFAULT_POLICY: DEFAULT_POLICY,
+  parse: parse,
+  delay: delay,
+  isRetryable: isRetryable
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const crypto = require('crypto');
+const zkClient = require('node-zookeeper-client');
+const ACL = zkClient.ACL;
+const Id = zkClient.Id;
+const Permission = zkClient.Permission;
+
+// Permission letters as used by zkCli's `setAcl`/`getAcl`.
+const PERMISSION_LETTERS = {
+  c: Permission.CREATE,
+  r: Permission.READ,
+  w: Permission.WRITE,
+  d: Permission.DELETE,
+  a: Permission.ADMIN
+};
+
+const PRESETS = {
+  'open': ACL.OPEN_ACL_UNSAFE,
+  'creator-all': ACL.CREATOR_ALL_ACL,
+  // Anyone may read, only the identities authenticated on the deploying
+  // session (see the `auth` option) may change anything.
+  'world-read/digest-write': [
+    new ACL(Permission.READ, Id.ANYONE_ID_UNSAFE),
+    new ACL(Permission.ALL, Id.AUTH_IDS)
+  ]
+};
+
+// Turns the `acl` config option, either a preset name or a list of
+// `{ scheme, id, permissions }` entries, into ACL instances. Returns null
+// when nothing is configured so the client falls back to its default.
+function parse(acl) {
+  if (!acl) {
+    return null;
+  }
+
+  if (typeof acl === 'string') {
+    if (!(acl in PRESETS)) {
+      throw new Error('Unknown ACL preset `' + acl + '`, expected one of: ' + Object.keys(PRESETS).join(', '));
+    }
+
+    return PRESETS[acl];
+  }
+
+  if (!Array.isArray(acl) || !acl.length) {
+    throw new Error('The `acl` option must be a preset name or a non-empty list of ACL entries');
+  }
+
+  return acl.map(function(entry) {
+    if (entry instanceof ACL) {
+      return entry;
+    }
+
+    return new ACL(parsePermissions(entry.permissions), new Id(entry.scheme, entry.id || ''));
+  });
+}
+
+function parsePermissions(permissions) {
+  if (typeof permissions === 'number') {
+    return permissions;
+  }
+
+  return String(permissions || '').split('').reduce(function(mask, letter) {
+    if (!(letter in PERMISSION_LETTERS)) {
+      throw new Error('Unknown ACL permission `' + letter + '`, expected any of: crwda');
+    }
+
+    return mask | PERMISSION_LETTERS[letter];
+  }, 0);
+}
+
+function describe(acls) {
+  return (acls || []).map(function(acl) {
+    let letters = Object.keys(PERMISSION_LETTERS).filter(function(letter) {
+      return acl.permission & PERMISSION_LETTERS[letter];
+    }).join('');
+
+    return acl.id.scheme + ':' + acl.id.id + ':' + letters;
+  }).join(', ');
+}
+
+// The server replaces an `auth` entry with the identities of the creating
+// session, so it matches any non-world entry carrying the same permissions.
+function entryMatches(expected, actual) {
+  if (expected.permission !== actual.permission) {
+    return false;
+  }
+
+  if (expected.id.scheme === Id.AUTH_IDS.scheme) {
+    return actual.id.scheme !== Id.ANYONE_ID_UNSAFE.scheme;
+  }
+
+  return expected.id.scheme === actual.id.scheme && expected.id.id === actual.id.id;
+}
+
+function matches(expected, actual) {
+  actual = actual || [];
+
+  return expected.every(function(expectedEntry) {
+    return actual.some(function(actualEntry) {
+      return entryMatches(expectedEntry, actualEntry);
+    });
+  }) && actual.every(function(actualEntry) {
+    return expected.some(function(expectedEntry) {
+      return entryMatches(expectedEntry, actualEntry);
+    });
+  });
+}
+
+// The id the server gives a session that authenticated with `digest`
+// credentials such as `user:password`.
+function digestId(credentials) {
+  let user = credentials.split(':')[0];
+  return user + ':' + crypto.createHash('sha1').update(credentials).digest('base64');
+}
+
+// Whether a session authenticated with `auth` entries may do `permission`
+// on a node with `acls`. Null when only entries for schemes that can't be
+// checked from here (such as `ip`) could grant it.
+function allows(acls, permission, auth) {
+  let digestIds = [].concat(auth || []).filter(function(entry) {
+    return entry.scheme === 'digest';
+  }).map(function(entry) {
+    return digestId(String(entry.credentials));
+  });
+  let granting = (acls || []).filter(function(acl) {
+    return acl.permission & permission;
+  });
+
+  if (granting.some(function(acl) {
+    return (acl.id.scheme === 'world' && acl.id.id === 'anyone') ||
+      (acl.id.scheme === 'digest' && digestIds.indexOf(acl.id.id) !== -1);
+  })) {
+    return true;
+  }
+
+  return granting.some(function(acl) {
+    return acl.id.scheme !== 'world' && acl.id.scheme !== 'digest';
+  }) ? null : false;
+}
+
+module.exports = {
+  PRESETS: PRESETS,
+  parse: parse,
+  describe: describe,
+  matches: matches,
+  digestId: digestId,
+  allows: allows
+};
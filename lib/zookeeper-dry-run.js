@@ -0,0 +1,342 @@
+'use strict';
+
+const CoreObject = require('core-object');
+const CreateMode = require('node-zookeeper-client').CreateMode;
+const Permission = require('node-zookeeper-client').Permission;
+const ACL = require('node-zookeeper-client').ACL;
+const path = require('path');
+const RSVP = require('rsvp');
+const Buffer = require('buffer').Buffer;
+const ZKError = require('./zookeeper-error');
+const zkAcl = require('./zookeeper-acl');
+
+// Stands in for the proxy client during a dry run. Reads still go to the
+// server, so missing paths and permission problems surface as they would
+// for real, but every write is only recorded in `plan.mutations` as
+// `{ type, path, bytes, allowed }` and kept in `plan.nodes` so later reads
+// in the same run see it.
+//
+// `allowed` is false when the ACL of the node the server would check
+// rules the write out for the configured `auth`, and null when that can't
+// be told from here.
+module.exports = CoreObject.extend({
+  init(client, plan, options) {
+    this._super();
+    this.client = client;
+    this.plan = plan;
+    this.options = options || {};
+    plan.mutations = plan.mutations || [];
+    // Path to `{ data, version, created }`, or null once deleted.
+    plan.nodes = plan.nodes || {};
+  },
+
+  connect() {
+    return this.client.connect();
+  },
+
+  open() {
+    return this.client.open();
+  },
+
+  close() {
+    return this.client.close();
+  },
+
+  connectionState() {
+    return this.client.connectionState();
+  },
+
+  createdPaths() {
+    // Nothing planned was written.
+    return [];
+  },
+
+  get(path, options = {}) {
+    return this._read(path).then(function(node) {
+      if (!node) {
+        return RSVP.reject(new ZKError(ZKError.ZNONODE, null, path));
+      }
+
+      return {
+        stat: node.stat,
+        data: options.raw ? node.data : node.data && node.data.toString('utf8')
+      };
+    });
+  },
+
+  exists(path, watcher) {
+    if (!(path in this.plan.nodes)) {
+      return this.client.exists(path, watcher);
+    }
+
+    let node = this.plan.nodes[path];
+    return RSVP.resolve({ stat: node ? { version: node.version } : undefined });
+  },
+
+  getChildren(path) {
+    let nodes = this.plan.nodes;
+    let planned = path in nodes;
+
+    if (planned && !nodes[path]) {
+      return RSVP.reject(new ZKError(ZKError.ZNONODE, null, path));
+    }
+
+    let existing = planned && nodes[path].created ? RSVP.resolve({ children: [] }) : this.client.getChildren(path);
+
+    return existing
+      .catch(function(error) {
+        return planned && error.code === ZKError.ZNONODE ? { children: [] } : RSVP.reject(error);
+      })
+      .then(function(res) {
+        let children = res.children.filter(function(child) {
+          return nodes[makePath(path, child)] !== null;
+        });
+
+        Object.keys(nodes).forEach(function(key) {
+          let child = key.slice(key.lastIndexOf('/') + 1);
+          if (nodes[key] && parentOf(key) === path && children.indexOf(child) === -1) {
+            children.push(child);
+          }
+        });
+
+        return { children: children };
+      });
+  },
+
+  getACL(path) {
+    let node = this.plan.nodes[path];
+
+    // Nodes that only exist in the plan would get the configured ACL.
+    if (node && node.created) {
+      return RSVP.resolve({ acls: this.options.acl || ACL.OPEN_ACL_UNSAFE, stat: { version: 0 } });
+    }
+
+    return node === null ? RSVP.reject(new ZKError(ZKError.ZNONODE, null, path)) : this.client.getACL(path);
+  },
+
+  create(path, data, acls, mode) {
+    let self = this;
+    let parent = parentOf(path);
+    let sequential = mode === CreateMode.PERSISTENT_SEQUENTIAL || mode === CreateMode.EPHEMERAL_SEQUENTIAL;
+
+    return this._read(parent)
+      .then(function(node) {
+        if (!node) {
+          return RSVP.reject(new ZKError(ZKError.ZNONODE, null, parent));
+        }
+
+        return sequential ? self._nextSequentialPath(path) : self._read(path).then(function(existing) {
+          return existing ? RSVP.reject(new ZKError(ZKError.ZNODEEXISTS, null, path)) : path;
+        });
+      })
+      .then(function(createdPath) {
+        return self._record('create', createdPath, data, parent, Permission.CREATE, 0).then(function() {
+          return createdPath;
+        });
+      });
+  },
+
+  createIfNotExists(key) {
+    let self = this;
+
+    return this._read(key).then(function(node) {
+      return node ? undefined : self.create(key);
+    });
+  },
+
+  set(key, value, version = -1) {
+    // Like the proxy, a missing node is created, and that is all the plan shows.
+    let self = this;
+
+    return this._read(key).then(function(node) {
+      return node ? self._setData(key, value, version) : self.create(key, value);
+    });
+  },
+
+  delete(path, version = -1) {
+    let self = this;
+
+    return this._requireVersion(path, version)
+      .then(this.getChildren.bind(this, path))
+      .then(function(res) {
+        if (res.children.length) {
+          return RSVP.reject(new ZKError(ZKError.ZNOTEMPTY, null, path));
+        }
+
+        return self._record('delete', path, null, parentOf(path), Permission.DELETE);
+      });
+  },
+
+  deleteRecursive(path) {
+    let self = this;
+
+    return this.getChildren(path)
+      .then(function(res) {
+        return res.children.reduce(function(promise, child) {
+          return promise.then(function() {
+            return self.deleteRecursive(makePath(path, child));
+          });
+        }, RSVP.resolve());
+      })
+      .then(function() {
+        return self.delete(path);
+      })
+      .catch(function(error) {
+        return error.code === ZKError.ZNONODE ? undefined : RSVP.reject(error);
+      });
+  },
+
+  transaction(ops) {
+    // Ops apply one after the other, and a failing op takes back the ones
+    // before it, as the server would.
+    let self = this;
+    let nodes = Object.assign({}, this.plan.nodes);
+    let recorded = this.plan.mutations.length;
+
+    return ops.reduce(function(promise, op) {
+      return promise.then(function() {
+        switch (op.type) {
+          case 'create':
+            return self.create(op.path, op.data, op.acls);
+          case 'setData':
+            return self._setData(op.path, op.data, op.version);
+          case 'remove':
+            return self.delete(op.path, op.version);
+          case 'check':
+            return self._requireVersion(op.path, op.version);
+          default:
+            return RSVP.reject(new Error('Unknown transaction operation `' + op.type + '`'));
+        }
+      });
+    }, RSVP.resolve())
+      .then(function() {
+        return {
+          results: ops.map(function(op) {
+            return { type: op.type };
+          })
+        };
+      })
+      .catch(function(error) {
+        self.plan.nodes = nodes;
+        self.plan.mutations.splice(recorded);
+        return RSVP.reject(error);
+      });
+  },
+
+  _setData(key, value, version) {
+    let self = this;
+
+    return this._requireVersion(key, version).then(function(node) {
+      return self._record('set', key, value, key, Permission.WRITE, (node.stat && node.stat.version || 0) + 1);
+    });
+  },
+
+  _read(path) {
+    // Resolves with `{ data, stat }` as the node stands in the plan, or null.
+    let client = this.client;
+
+    if (path === '/') {
+      return RSVP.resolve({ data: null, stat: { version: 0 } });
+    }
+
+    if (path in this.plan.nodes) {
+      let node = this.plan.nodes[path];
+      return RSVP.resolve(node && { data: node.data, stat: { version: node.version } });
+    }
+
+    return client.exists(path).then(function(res) {
+      return res.stat ? client.get(path, { raw: true }) : null;
+    });
+  },
+
+  _requireVersion(path, version) {
+    return this._read(path).then(function(node) {
+      if (!node) {
+        return RSVP.reject(new ZKError(ZKError.ZNONODE, null, path));
+      }
+
+      let current = node.stat && node.stat.version || 0;
+      if (version !== undefined && version !== -1 && version !== current) {
+        return RSVP.reject(new ZKError(ZKError.ZBADVERSION, null, path));
+      }
+
+      return node;
+    });
+  },
+
+  _nextSequentialPath(path) {
+    let prefix = path.slice(path.lastIndexOf('/') + 1);
+
+    return this.getChildren(parentOf(path)).then(function(res) {
+      let next = res.children.filter(function(child) {
+        return child.indexOf(prefix) === 0;
+      }).reduce(function(max, child) {
+        return Math.max(max, parseInt(child.slice(prefix.length), 10) + 1);
+      }, 0);
+
+      return path + ('000000000' + next).slice(-10);
+    });
+  },
+
+  _record(type, path, data, checkedPath, permission, version) {
+    let nodes = this.plan.nodes;
+    let previous = nodes[path];
+    let mutation = { type: type, path: path };
+
+    if (type === 'delete') {
+      nodes[path] = null;
+    } else {
+      let bytes = toBuffer(data);
+      mutation.bytes = bytes.length;
+      nodes[path] = {
+        data: bytes,
+        version: version,
+        created: type === 'create' ? !(path in nodes) : !!(previous && previous.created)
+      };
+    }
+
+    this.plan.mutations.push(mutation);
+
+    return this._isAllowed(checkedPath, permission).then(function(allowed) {
+      mutation.allowed = allowed;
+      if (allowed === false) {
+        mutation.checkedPath = checkedPath;
+      }
+    });
+  },
+
+  _isAllowed(path, permission) {
+    let node = this.plan.nodes[path];
+    let auth = this.options.auth;
+
+    // Nodes created by this run get the configured ACL, so they are ours to change.
+    if (path === '/' || (node && node.created)) {
+      return RSVP.resolve(null);
+    }
+
+    return this.client.getACL(path)
+      .then(function(res) {
+        return zkAcl.allows(res.acls, permission, auth);
+      })
+      .catch(function(error) {
+        // Reading an ACL needs READ or ADMIN, which says nothing about writing.
+        return error.code === ZKError.ZNOAUTH ? null : RSVP.reject(error);
+      });
+  }
+});
+
+function parentOf(key) {
+  return path.dirname(key);
+}
+
+function makePath(...args) {
+  return path.join(...args);
+}
+
+function toBuffer(data) {
+  if (data === undefined || data === null) {
+    return Buffer.alloc(0);
+  }
+
+  return Buffer.isBuffer(data) ? data : Buffer.from(data.toString(), 'utf8');
+}
@@ -0,0 +1,162 @@
+'use strict';
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const RSVP = require('rsvp');
+const Buffer = require('buffer').Buffer;
+const denodeify = RSVP.denodeify;
+
+// Files that need metadata (such as the codec they were compressed with)
+// are stored as `zkdeploy:1\n<json header>\n<payload>`. Anything without
+// the magic prefix is a plain file and is read back as is.
+//
+// Files too large for a single node keep only the header, with the chunk
+// count, total size and sha256 of the payload, and the payload itself is
+// split over the file node's children.
+const MAGIC = Buffer.from('zkdeploy:1\n', 'utf8');
+const NEWLINE = 0x0a;
+const CHUNK_PREFIX = 'chunk-';
+const CHUNK_NAME = /^chunk-\d{10}$/;
+
+// A little under the 1MB jute.maxbuffer default, leaving room for the
+// rest of the request.
+const DEFAULT_MAX_NODE_SIZE = 1000000;
+
+const CODECS = {
+  gzip: {
+    compress: denodeify(zlib.gzip),
+    decompress: denodeify(zlib.gunzip)
+  }
+};
+
+// Brotli only ships with Node >= 11.7.
+if (typeof zlib.brotliCompress === 'function') {
+  CODECS.brotli = {
+    compress: denodeify(zlib.brotliCompress),
+    decompress: denodeify(zlib.brotliDecompress)
+  };
+}
+
+function validateCompression(compression) {
+  if (compression && !(compression in CODECS)) {
+    throw new Error(
+      'Unsupported compression `' + compression + '`, this Node version supports: ' + Object.keys(CODECS).join(', ')
+    );
+  }
+
+  return compression || null;
+}
+
+function encode(header, payload) {
+  return Buffer.concat([MAGIC, Buffer.from(JSON.stringify(header) + '\n', 'utf8'), payload]);
+}
+
+// Returns `{ header, payload }`, or null for a plain file.
+function decode(data) {
+  if (!data || data.length < MAGIC.length || !data.slice(0, MAGIC.length).equals(MAGIC)) {
+    return null;
+  }
+
+  let headerEnd = data.indexOf(NEWLINE, MAGIC.length);
+  return {
+    header: JSON.parse(data.slice(MAGIC.length, headerEnd).toString('utf8')),
+    payload: data.slice(headerEnd + 1)
+  };
+}
+
+function chunkName(index) {
+  return CHUNK_PREFIX + ('000000000' + index).slice(-10);
+}
+
+function isChunkName(name) {
+  return CHUNK_NAME.test(name);
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Resolves with `{ data, chunks }`: the file node's data and, for files
+// over `maxNodeSize`, the buffers to store in its chunk children.
+function pack(content, options) {
+  options = options || {};
+  let compression = options.compression;
+  let maxNodeSize = options.maxNodeSize || DEFAULT_MAX_NODE_SIZE;
+  let buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+  let compress = compression ? CODECS[compression].compress(buffer) : RSVP.resolve(buffer);
+
+  return compress.then(function(payload) {
+    let header = compression ? { compression: compression } : null;
+    let data = header ? encode(header, payload) : payload;
+
+    if (data.length <= maxNodeSize) {
+      return { data: data, chunks: [] };
+    }
+
+    let chunks = [];
+    for (let offset = 0; offset < payload.length; offset += maxNodeSize) {
+      chunks.push(payload.slice(offset, offset + maxNodeSize));
+    }
+
+    header = Object.assign({}, header, {
+      chunks: chunks.length,
+      size: payload.length,
+      sha256: sha256(payload)
+    });
+
+    return { data: encode(header, Buffer.alloc(0)), chunks: chunks };
+  });
+}
+
+// `readChunks(count)` is only called for chunked files and must resolve
+// with their chunk buffers in order.
+function unpack(data, readChunks) {
+  let envelope = decode(data);
+
+  if (!envelope) {
+    return RSVP.resolve(data);
+  }
+
+  let header = envelope.header;
+  let payload = header.chunks ? readChunks(header.chunks).then(function(chunks) {
+    return reassemble(header, chunks);
+  }) : RSVP.resolve(envelope.payload);
+
+  return payload.then(function(payload) {
+    let compression = header.compression;
+    if (!compression) {
+      return payload;
+    }
+
+    if (!(compression in CODECS)) {
+      return RSVP.reject(new Error('Cannot decompress `' + compression + '` content on this Node version'));
+    }
+
+    return CODECS[compression].decompress(payload);
+  });
+}
+
+function reassemble(header, chunks) {
+  let payload = Buffer.concat(chunks);
+
+  if (payload.length !== header.size || sha256(payload) !== header.sha256) {
+    return RSVP.reject(new Error(
+      'Chunked content is corrupt: expected ' + header.size + ' bytes with sha256 ' + header.sha256 +
+      ', got ' + payload.length + ' bytes with sha256 ' + sha256(payload)
+    ));
+  }
+
+  return payload;
+}
+
+module.exports = {
+  DEFAULT_MAX_NODE_SIZE: DEFAULT_MAX_NODE_SIZE,
+  chunkName: chunkName,
+  isChunkName: isChunkName,
+  sha256: sha256,
+  validateCompression: validateCompression,
+  encode: encode,
+  decode: decode,
+  pack: pack,
+  unpack: unpack
+};
@@ -32,7 +32,7 @@ let _messages = {
     '-122' : 'Attempt to create ephemeral node on a local session',
 };
 
-let ZkError = function (code, message, path) {
+let ZkError = function (code, message, path, operation) {
     Error.call(this);
     Error.captureStackTrace(this, this.constructor); // capture the stack trace: http://code.google.com/p/v8/wiki/JavaScriptStackTraceApi
 
@@ -43,7 +43,15 @@ let ZkError = function (code, message, path) {
         this.path = path;
     }
 
-    this.message = _messages[code] || message || 'ZooKeeper Error';
+    // The request that failed, such as `get` or `create`.
+    if (operation) {
+        this.operation = operation;
+    }
+
+    // Whether the same request may well succeed if it is sent again.
+    this.retryable = exports.RETRYABLE_CODES.indexOf(code) !== -1;
+
+    this.message = message || _messages[code] || 'ZooKeeper Error';
 };
 
 ZkError.prototype = Object.create(Error.prototype);
@@ -78,3 +86,6 @@ exports.ZSESSIONMOVED = -118;
 exports.ZNEWCONFIGNOQUORUM = -120;
 exports.ZRECONFIGINPROGRESS = -121;
 exports.ZEPHEMERALONLOCALSESSION = -122;
+
+// Connection loss and timeouts, which a dropped connection or a leader election cause.
+exports.RETRYABLE_CODES = [exports.ZCONNECTIONLOSS, exports.ZOPERATIONTIMEOUT];
@@ -0,0 +1,147 @@
+const CoreObject = require('core-object');
+const RSVP = require('rsvp');
+const CreateMode = require('node-zookeeper-client').CreateMode;
+const LOCK_NODE_PREFIX = 'lock-';
+
+// The standard ZooKeeper lock recipe: every contender creates an ephemeral
+// sequential node and the lowest sequence number holds the lock. Everybody
+// else watches the node just before its own, so releasing the lock only
+// wakes up the next contender in line.
+module.exports = CoreObject.extend({
+  init(client, lockDir) {
+    this._super();
+    this._client = client;
+    this.lockDir = lockDir;
+    this.path = null;
+  },
+
+  acquire(owner, timeout) {
+    let self = this;
+    let deadline = new Date().getTime() + timeout;
+
+    return RSVP.resolve()
+      .then(function() {
+        return self._client.create(
+          self.lockDir + '/' + LOCK_NODE_PREFIX,
+          JSON.stringify(owner),
+          undefined,
+          CreateMode.EPHEMERAL_SEQUENTIAL
+        );
+      })
+      .then(function(path) {
+        self.path = path;
+        return self._waitForTurn(deadline);
+      })
+      .then(function() {
+        return self;
+      })
+      .catch(function(error) {
+        // Give up our place in line so we don't block whoever comes next.
+        return self.release().then(function() {
+          return RSVP.reject(error);
+        });
+      });
+  },
+
+  release() {
+    let path = this.path;
+    this.path = null;
+
+    if (!path) {
+      return RSVP.resolve();
+    }
+
+    // The node is already gone if our session expired in the meantime.
+    return this._client.delete(path).catch(function() {});
+  },
+
+  _waitForTurn(deadline) {
+    let self = this;
+    let client = this._client;
+    let ownName = this.path.slice(this.path.lastIndexOf('/') + 1);
+
+    return client.getChildren(this.lockDir).then(function(res) {
+      let contenders = res.children.filter(function(child) {
+        return child.indexOf(LOCK_NODE_PREFIX) === 0;
+      }).sort(bySequence);
+      let index = contenders.indexOf(ownName);
+
+      if (index === 0) {
+        return;
+      }
+
+      if (index === -1) {
+        return RSVP.reject(new Error('Lost the deploy lock node `' + self.path + '`, was the session expired?'));
+      }
+
+      let predecessor = self.lockDir + '/' + contenders[index - 1];
+      let remaining = deadline - new Date().getTime();
+
+      if (remaining <= 0) {
+        return self._timeoutError(contenders[0]);
+      }
+
+      return new RSVP.Promise(function(resolve, reject) {
+        let retried = false;
+        let timer = setTimeout(function() {
+          retried = true;
+          self._timeoutError(contenders[0]).catch(reject);
+        }, remaining);
+
+        function retry() {
+          if (!retried) {
+            retried = true;
+            clearTimeout(timer);
+            resolve(self._waitForTurn(deadline));
+          }
+        }
+
+        client.exists(predecessor, retry).then(function(res) {
+          // It went away before the watch was set, so check again right away.
+          if (!res.stat) {
+            retry();
+          }
+        }, function(error) {
+          clearTimeout(timer);
+          reject(error);
+        });
+      });
+    });
+  },
+
+  _timeoutError(holderName) {
+    let lockDir = this.lockDir;
+
+    return this._client.get(lockDir + '/' + holderName)
+      .then(function(res) {
+        return JSON.parse(res.data);
+      })
+      .catch(function() {
+        return null;
+      })
+      .then(function(owner) {
+        let error = new Error(
+          'Timed out waiting for the deploy lock on `' + lockDir + '`, it is held by ' + describeOwner(owner)
+        );
+        error.owner = owner;
+        return RSVP.reject(error);
+      });
+  }
+});
+
+function bySequence(a, b) {
+  return sequence(a) - sequence(b);
+}
+
+function sequence(name) {
+  return parseInt(name.slice(LOCK_NODE_PREFIX.length), 10);
+}
+
+function describeOwner(owner) {
+  if (!owner) {
+    return 'an unknown owner';
+  }
+
+  return owner.user + '@' + owner.hostname + ' (pid ' + owner.pid + ')' +
+    (owner.revision ? ' deploying revision `' + owner.revision + '`' : '');
+}
@@ -2,12 +2,32 @@ const CoreObject = require('core-object');
 const RSVP = require('rsvp');
 const ZKError = require('./zookeeper-error');
 const Buffer = require('buffer').Buffer;
+const CreateMode = require('node-zookeeper-client').CreateMode;
+const EventEmitter = require('events').EventEmitter;
+
+// How many requests a recursive delete keeps in flight by default.
+const DELETE_CONCURRENCY = 5;
 
 module.exports = CoreObject.extend({
   init(options, zkLib) {
     this._super();
     this.zkLib = zkLib || require('node-zookeeper-client')
     this.options = options;
+    this._auth = normalizeAuth(options.auth);
+    this._events = new EventEmitter();
+    // Watches set through `exists` that haven't fired yet, see `_restoreWatches`.
+    this._watches = [];
+    this._ephemerals = [];
+    // One of `disconnected`, `connecting`, `connected`, `reconnecting` while
+    // the client tries to resume a dropped session, `expired`, `authFailed`,
+    // or `closed` once `close()` has been called.
+    this.state = 'disconnected';
+  },
+
+  on(event, listener) {
+    // `state` events get the new state, the previous one and the error that ended the session, if any.
+    this._events.on(event, listener);
+    return this;
   },
 
   establishConnection() {
@@ -20,27 +40,216 @@ module.exports = CoreObject.extend({
       host_order_deterministic: true
     });
 
-    this.connection = new RSVP.Promise(function(resolve, reject) {
-      let timeout = setTimeout(function() {
+    this._zk = zk;
+    this._ephemerals = [];
+    this._setState('connecting');
+    this.connection = new RSVP.Promise((resolve, reject) => {
+      let timeout = setTimeout(() => {
         zk.close();
-        reject('Timed out trying to connect to ZooKeeper');
+        this._connectFailed(zk, 'disconnected');
+        reject(new ZKError(ZKError.ZOPERATIONTIMEOUT, 'Timed out trying to connect to ZooKeeper', undefined, 'connect'));
       }, connectionTimeout);
 
       zk.once('connected', () => {
-        clearTimeout(timeout);
-        resolve(zk);
+        this._authenticate(zk).then(() => {
+          return this._restoreWatches(zk);
+        }).then(() => {
+          clearTimeout(timeout);
+          this._watchSession(zk);
+          this._setState('connected');
+          resolve(zk);
+        }, (error) => {
+          clearTimeout(timeout);
+          zk.close();
+          this._connectFailed(zk, error.code === ZKError.ZAUTHFAILED ? 'authFailed' : 'disconnected', error);
+          reject(error);
+        });
       });
 
       zk.connect();
     });
+  },
+
+  _watchSession(zk) {
+    // The client resumes a session on its own after losing the connection,
+    // but not once the server has expired it or refused its credentials.
+    zk.on('disconnected', () => {
+      if (this._zk === zk && this.state === 'connected') {
+        this._resumeSession(zk);
+      }
+    });
+
+    zk.on('expired', () => {
+      this._sessionLost(zk, 'expired', new ZKError(ZKError.ZSESSIONEXPIRED));
+    });
+
+    zk.on('authenticationFailed', () => {
+      this._sessionLost(zk, 'authFailed', new ZKError(ZKError.ZAUTHFAILED));
+    });
+  },
+
+  _resumeSession(zk) {
+    let reconnectTimeout = this.options.reconnectTimeout || this.options.connectionTimeout || 10000;
+
+    // Requests wait for the client to get back to the same session, for at most `reconnectTimeout`.
+    this._setState('reconnecting');
+    this.connection = new RSVP.Promise((resolve, reject) => {
+      let timeout = setTimeout(() => {
+        this._sessionLost(zk, 'disconnected', new ZKError(
+          ZKError.ZCONNECTIONLOSS,
+          'Could not reconnect to ZooKeeper within ' + reconnectTimeout + 'ms'
+        ));
+      }, reconnectTimeout);
+
+      this._reconnecting = { timeout: timeout, reject: reject };
+
+      zk.once('connected', () => {
+        if (this._zk === zk) {
+          this._stopReconnecting();
+          this._setState('connected');
+          resolve(zk);
+        }
+      });
+    });
+  },
+
+  _sessionLost(zk, state, error) {
+    if (this._zk !== zk) {
+      return;
+    }
 
-    // Listen for close connection events.
-    zk.once('disconnected', () => {
-      // Remove the connection.
+    this._stopReconnecting(error);
+    zk.close();
+
+    // Ephemeral nodes, such as the deploy lock, went with the session, so
+    // whoever created them gets `error` from here on rather than carrying
+    // on in a new session that no longer holds them. Credentials that were
+    // refused once would be refused again. Anybody else gets a new session
+    // with the next request.
+    let sticky = this._ephemerals.length > 0 || state === 'authFailed';
+    let watches = this._watches;
+
+    this._endSession(zk, state, error);
+    this.connection = sticky ? RSVP.reject(error) : null;
+
+    if (sticky) {
+      // Wake up the watchers so they find out now instead of waiting for a node that may never change.
+      watches.slice().forEach(function(watch) {
+        watch.listener({ name: 'SESSION_LOST', path: watch.path });
+      });
+    } else if (watches.length) {
+      // Watches only fire with a session to deliver them.
+      this.connect().catch(function() {});
+    }
+  },
+
+  _stopReconnecting(error) {
+    let reconnecting = this._reconnecting;
+    this._reconnecting = null;
+
+    if (reconnecting) {
+      clearTimeout(reconnecting.timeout);
+      if (error) {
+        reconnecting.reject(error);
+      }
+    }
+  },
+
+  _connectFailed(zk, state, error) {
+    // Refused credentials would be refused again, so only they keep failing
+    // every request. Anything else leaves the next request to try a new session.
+    if (this._zk === zk && state !== 'authFailed') {
       this.connection = null;
+    }
+
+    this._endSession(zk, state, error);
+  },
+
+  _endSession(zk, state, error) {
+    // A session closed or replaced in the meantime has nothing left to report.
+    if (this._zk === zk) {
+      this._zk = null;
+      this._setState(state, error);
+    }
+  },
+
+  _setState(state, error) {
+    let previous = this.state;
+
+    if (state !== previous) {
+      this.state = state;
+      this._events.emit('state', state, previous, error);
+    }
+  },
+
+  _authenticate(zk) {
+    const credentials = this._auth;
+
+    if (!credentials.length) {
+      return RSVP.resolve();
+    }
+
+    return new RSVP.Promise((resolve, reject) => {
+      zk.once('authenticationFailed', () => {
+        reject(new ZKError(ZKError.ZAUTHFAILED));
+      });
+
+      credentials.forEach(function(auth) {
+        zk.addAuthInfo(auth.scheme, Buffer.from(auth.credentials));
+      });
+
+      // The server answers requests in order, so once this round trip
+      // returns, every auth packet sent before it has been accepted.
+      zk.exists('/', (error) => {
+        return error ? reject(error) : resolve();
+      });
     });
   },
 
+  _restoreWatches(zk) {
+    // Sets the watches of an ended session again in the new one. A node
+    // that was created or deleted in between fires its watch right away,
+    // as the server would have.
+    return RSVP.all(this._watches.map((watch) => {
+      return new RSVP.Promise((resolve) => {
+        zk.exists(watch.path, watch.listener, (error, stat) => {
+          if (error) {
+            this._forgetWatch(watch);
+          } else if (!!stat !== watch.existed) {
+            watch.listener({ name: stat ? 'NODE_CREATED' : 'NODE_DELETED', path: watch.path });
+          }
+
+          resolve();
+        });
+      });
+    }));
+  },
+
+  _watch(path, watcher) {
+    let watch = {
+      path: path,
+      listener: (event) => {
+        // Each watch fires once, whichever session delivers it.
+        if (this._forgetWatch(watch)) {
+          watcher(event);
+        }
+      }
+    };
+
+    this._watches.push(watch);
+    return watch;
+  },
+
+  _forgetWatch(watch) {
+    let index = this._watches.indexOf(watch);
+
+    if (index > -1) {
+      this._watches.splice(index, 1);
+    }
+
+    return index > -1;
+  },
+
   connect() {
     if (!this.connection) {
       this.establishConnection();
@@ -50,48 +259,79 @@ module.exports = CoreObject.extend({
   },
 
   close() {
-    return this._promisify((zk, resolve) => {
+    // Ends the session, if there is one, rather than opening one just to close it.
+    const zk = this._zk;
+
+    this._zk = null;
+    this.connection = null;
+    this._stopReconnecting(new ZKError(ZKError.ZCLOSING));
+    this._setState('closed');
+
+    if (zk) {
       zk.close();
-      resolve();
-      this.connection = null;
-      return 0;
-    });
+    }
+
+    return RSVP.resolve();
   },
 
-  get(path) {
-    return this._promisify((zk, resolve, reject) => {
+  get(path, options = {}) {
+    return this._promisify('get', path, (zk, resolve, reject) => {
       return zk.getData(path, (error, data, stat) => {
         // If there is an error of some sort.
         if (error) {
           return reject(error);
         }
 
+        // Decode as utf8 unless the caller wants the bytes as stored.
         return resolve({
           stat: stat,
-          data: data && data.toString('utf8')
+          data: options.raw ? data : data && data.toString('utf8')
         });
       });
     });
   },
 
-  exists(path) {
-    return this._promisify((zk, resolve, reject) => {
-      return zk.exists(path, (error, stat) => {
+  exists(path, watcher) {
+    return this._promisify('exists', path, (zk, resolve, reject) => {
+      const args = [path];
+      const watch = watcher && this._watch(path, watcher);
+
+      // Only include the watcher argument if there is one passed
+      if (watch) {
+        args.push(watch.listener);
+      }
+
+      args.push((error, stat) => {
         if (error) {
+          if (watch) {
+            this._forgetWatch(watch);
+          }
           return reject(error);
         }
 
+        if (watch) {
+          watch.existed = !!stat;
+        }
+
         return resolve({
           stat: stat
         });
       });
+
+      return zk.exists(...args);
     });
   },
 
-  set(path, data = '') {
-    return this._promisify((zk, resolve, reject) => {
-      const dataBuffer = Buffer.from(data.toString(), 'utf8');
-      return zk.setData(path, dataBuffer, (error, stat) => {
+  set(path, data = '', version = -1) {
+    return this._promisify('set', path, (zk, resolve, reject) => {
+      const args = [path, toBuffer(data)];
+
+      // Only include the version when the write is guarded by one
+      if (version !== -1) {
+        args.push(version);
+      }
+
+      args.push((error, stat) => {
         if (error) {
           return reject(error);
         }
@@ -100,16 +340,36 @@ module.exports = CoreObject.extend({
           stat: stat
         });
       });
+
+      return zk.setData(...args);
     });
   },
 
-  create(path, data) {
-    return this._promisify((zk, resolve, reject) => {
+  _forgetEphemeral(path) {
+    // Once its ephemeral nodes are deleted, losing the session costs nothing.
+    let index = this._ephemerals.indexOf(path);
+
+    if (index !== -1) {
+      this._ephemerals.splice(index, 1);
+    }
+  },
+
+  create(path, data, acls = this.options.acl, mode) {
+    return this._promisify('create', path, (zk, resolve, reject) => {
       const args = [path];
 
       // Only include the data argument if there is data passed
       if (data) {
-        args.push(Buffer.from(data, 'utf8'));
+        args.push(toBuffer(data));
+      }
+
+      // Leave the client's default (open) ACL alone unless one is configured
+      if (acls) {
+        args.push(acls);
+      }
+
+      if (mode !== undefined) {
+        args.push(mode);
       }
 
       args.push((error, resolvedPath) => {
@@ -117,6 +377,10 @@ module.exports = CoreObject.extend({
           return reject(error);
         }
 
+        if (mode === CreateMode.EPHEMERAL || mode === CreateMode.EPHEMERAL_SEQUENTIAL) {
+          this._ephemerals.push(resolvedPath);
+        }
+
         resolve(resolvedPath);
       });
 
@@ -124,20 +388,100 @@ module.exports = CoreObject.extend({
     });
   },
 
+  transaction(ops) {
+    return this._promisify('transaction', undefined, (zk, resolve, reject) => {
+      const transaction = zk.transaction();
+
+      ops.forEach((op) => {
+        switch (op.type) {
+          case 'create':
+            transaction.create(op.path, toBuffer(op.data), op.acls || this.options.acl);
+            break;
+          case 'setData':
+            transaction.setData(op.path, toBuffer(op.data), op.version);
+            break;
+          case 'remove':
+            transaction.remove(op.path, op.version);
+            break;
+          case 'check':
+            transaction.check(op.path, op.version);
+            break;
+          default:
+            throw new ZKError(ZKError.ZBADARGUMENTS, 'Unknown transaction operation `' + op.type + '`');
+        }
+      });
+
+      return transaction.commit((error, results) => {
+        if (error) {
+          return reject(error);
+        }
+
+        ops.forEach((op) => {
+          if (op.type === 'remove') {
+            this._forgetEphemeral(op.path);
+          }
+        });
+
+        resolve({
+          results: results
+        });
+      });
+    });
+  },
+
   delete(path) {
-    return this._promisify((zk, resolve, reject) => {
+    return this._promisify('delete', path, (zk, resolve, reject) => {
       return zk.remove(path, -1, (error) => {
         if (error) {
           return reject(error);
         }
 
+        this._forgetEphemeral(path);
         resolve();
       });
     });
   },
 
+  deleteRecursive(path, concurrency = DELETE_CONCURRENCY) {
+    // Removes `path` and everything under it, depth first so every node is
+    // empty by the time it is removed. However wide or deep the tree, at
+    // most `concurrency` requests are in flight. Nodes that are already gone
+    // are skipped.
+    const limit = limiter(concurrency);
+
+    const remove = (nodePath) => {
+      return limit(() => this.getChildren(nodePath))
+        .then((res) => {
+          return RSVP.all(res.children.map((child) => {
+            return remove(joinPath(nodePath, child));
+          }));
+        })
+        .then(() => limit(() => this.delete(nodePath)))
+        .catch((error) => {
+          return error.code === ZKError.ZNONODE ? undefined : RSVP.reject(error);
+        });
+    };
+
+    return remove(path);
+  },
+
+  getACL(path) {
+    return this._promisify('getACL', path, (zk, resolve, reject) => {
+      return zk.getACL(path, (error, acls, stat) => {
+        if (error) {
+          return reject(error);
+        }
+
+        resolve({
+          acls: acls,
+          stat: stat
+        });
+      });
+    });
+  },
+
   getChildren(path) {
-    return this._promisify((zk, resolve, reject) => {
+    return this._promisify('getChildren', path, (zk, resolve, reject) => {
       return zk.getChildren(path, (error, children, stats) => {
         if (error) {
           return reject(error);
@@ -150,11 +494,84 @@ module.exports = CoreObject.extend({
     });
   },
 
-  _promisify(cb) {
-    return this.connect().then((zk) => {
-      return new RSVP.Promise((resolve, reject) => {
-        cb(zk, resolve, reject);
+  _promisify(operation, path, cb) {
+    return this.connect()
+      .then((zk) => {
+        return new RSVP.Promise((resolve, reject) => {
+          cb(zk, resolve, reject);
+        });
+      })
+      .catch((error) => {
+        return RSVP.reject(toZkError(error, operation, path));
       });
-    });
   }
 });
+
+function normalizeAuth(auth) {
+  if (!auth) {
+    return [];
+  }
+
+  return [].concat(auth).map(function(entry) {
+    if (!entry || !entry.scheme || !entry.credentials) {
+      throw new Error('ZooKeeper auth entries require a `scheme` and `credentials`');
+    }
+
+    return entry;
+  });
+}
+
+// Runs the functions handed to it, at most `concurrency` at a time.
+function limiter(concurrency) {
+  let running = 0;
+  const queue = [];
+
+  const next = () => {
+    if (running >= concurrency || !queue.length) {
+      return;
+    }
+
+    const task = queue.shift();
+    running++;
+    RSVP.resolve()
+      .then(task.fn)
+      .then(task.resolve, task.reject)
+      .then(() => {
+        running--;
+        next();
+      });
+  };
+
+  return (fn) => {
+    return new RSVP.Promise((resolve, reject) => {
+      queue.push({ fn: fn, resolve: resolve, reject: reject });
+      next();
+    });
+  };
+}
+
+function joinPath(parent, child) {
+  return parent === '/' ? '/' + child : parent + '/' + child;
+}
+
+// Every failure is a `ZKError` telling which request failed on which path.
+// The client's own Exceptions only carry the code, and a few failures are
+// plain errors without one.
+function toZkError(error, operation, path) {
+  let code = error && error.code;
+
+  if (typeof code !== 'number') {
+    return new ZKError(ZKError.ZSYSTEMERROR, error && error.message || String(error), path, operation);
+  }
+
+  return new ZKError(code, error instanceof ZKError ? error.message : undefined, path, operation);
+}
+
+// Buffers are written as is so binary files survive, anything else as utf8 text.
+function toBuffer(data) {
+  if (data === undefined || data === null) {
+    return undefined;
+  }
+
+  return Buffer.isBuffer(data) ? data : Buffer.from(data.toString(), 'utf8');
+}
@@ -1,49 +1,79 @@
 let CoreObject = require('core-object');
 let RSVP = require('rsvp');
 let ZKPromised = require('./zookeeper-promised');
+let retryPolicy = require('./retry-policy');
 
 module.exports = CoreObject.extend({
   init(options, zkLib) {
     this._super();
     this.client = new ZKPromised(options, zkLib);
     this._createPromisesHash = {};
+    this._createdPaths = [];
+    this._retry = options.retry || retryPolicy.parse();
+    // Called with `{ operation, path, attempt, maxAttempts, delay, error }` before each retry.
+    this._onRetry = options.onRetry;
+  },
+  // Reads can always be retried. Writes only when a retry can't apply them
+  // twice, which for a plain delete or create is never.
+  get: proxyMethod('get', always),
+  getChildren: proxyMethod('getChildren', always),
+  exists: proxyMethod('exists', always),
+  delete: proxyMethod('delete', never),
+  deleteRecursive: proxyMethod('deleteRecursive', never),
+  getACL: proxyMethod('getACL', always),
+
+  create(...args) {
+    let createdPaths = this._createdPaths;
+
+    return proxyMethod('create', never).apply(this, args).then(function(path) {
+      createdPaths.push(path);
+      return path;
+    });
+  },
+
+  transaction(ops) {
+    let createdPaths = this._createdPaths;
+
+    return proxyMethod('transaction', isGuardedTransaction).call(this, ops).then(function(res) {
+      ops.forEach(function(op) {
+        if (op.type === 'create') {
+          createdPaths.push(op.path);
+        }
+      });
+      return res;
+    });
+  },
+
+  createdPaths() {
+    // Every node this client created, in the order it created them.
+    return this._createdPaths.slice();
   },
-  get: proxyMethod('get'),
-  getChildren: proxyMethod('getChildren'),
-  exists: proxyMethod('exists'),
-  delete: proxyMethod('delete'),
-  create: proxyMethod('create'),
 
   createIfNotExists(key) {
-    let client = this.client;
     return this._createIfNotExist(key)
-      .catch(function(err) {
-        client.close();
-        return RSVP.reject(err);
-      });
+      .catch(this._closeOnError.bind(this));
   },
 
-  set(key, value) {
+  set(key, value, version = -1) {
     let client = this.client;
-    let arity = arguments.length;
 
     return this.connect()
       .then(this._createIfNotExist.bind(this, key))
-      .then(function() {
-        return client.set(key, value, -1);
-      })
-      .catch(function(err) {
-        client.close();
-        return Promise.reject(err);
-      });
+      .then(this._withRetries.bind(this, 'set', key, version !== -1, function() {
+        return client.set(key, value, version);
+      }))
+      .catch(this._closeOnError.bind(this));
   },
 
   _createIfNotExist(key) {
     let client = this.client;
     let _createPromisesHash = this._createPromisesHash;
+    let createdPaths = this._createdPaths;
 
     return this.connect()
-      .then(client.exists.bind(client, key))
+      .then(this._withRetries.bind(this, 'exists', key, true, function() {
+        return client.exists(key);
+      }))
       .then(function(res) {
         if (res.stat) {
           return;
@@ -52,7 +82,10 @@ module.exports = CoreObject.extend({
         // If it doesn't exist, memoize the actual creation
         // so that this request to create can only happen once.
         if (!(key in _createPromisesHash)) {
-          _createPromisesHash[key] = client.create(key);
+          _createPromisesHash[key] = client.create(key).then(function(path) {
+            createdPaths.push(path);
+            return path;
+          });
         }
 
         return _createPromisesHash[key];
@@ -60,21 +93,110 @@ module.exports = CoreObject.extend({
   },
 
   connect() {
-    return this.client.connect();
+    // Nothing is sent before the session is up, so connecting can always be
+    // retried, whichever request is waiting for it.
+    let client = this.client;
+
+    return this._withRetries('connect', undefined, true, function() {
+      return client.connect();
+    });
+  },
+
+  open() {
+    // Whoever opens the session closes it, so errors no longer end it.
+    this._sessionOwned = true;
+    return this.connect();
+  },
+
+  close() {
+    this._sessionOwned = false;
+    return this.client.close();
+  },
+
+  connectionState() {
+    return this.client.state;
+  },
+
+  on(event, listener) {
+    this.client.on(event, listener);
+    return this;
+  },
+
+  _withRetries(operation, path, safe, fn) {
+    // Runs `fn` until it succeeds, fails with an error the policy doesn't
+    // retry or runs out of attempts, backing off in between.
+    let policy = this._retry;
+    let onRetry = this._onRetry;
+    let attempt = 1;
+
+    function run() {
+      return RSVP.resolve().then(fn).catch(function(error) {
+        if (!safe || attempt >= policy.maxAttempts || !retryPolicy.isRetryable(policy, error)) {
+          return RSVP.reject(error);
+        }
+
+        let delay = retryPolicy.delay(policy, attempt);
+        attempt++;
+
+        if (onRetry) {
+          onRetry({
+            operation: operation,
+            path: path,
+            attempt: attempt,
+            maxAttempts: policy.maxAttempts,
+            delay: delay,
+            error: error
+          });
+        }
+
+        return wait(delay).then(run);
+      });
+    }
+
+    return run();
+  },
+
+  _closeOnError(err) {
+    // Without an owner, a failed request ends the session so it can't keep the process alive.
+    if (!this._sessionOwned) {
+      this.client.close();
+    }
+
+    return RSVP.reject(err);
   }
 });
 
-function proxyMethod(methodName, ...outerArgs) {
-  return function(...innerArgs) {
+function proxyMethod(methodName, isSafeToRetry) {
+  return function(...args) {
     let client = this.client;
+    let path = typeof args[0] === 'string' ? args[0] : undefined;
 
     return this.connect()
-      .then(function() {
-        return client[methodName].apply(client, innerArgs.concat(outerArgs));
-      })
-      .catch(function(err) {
-        client.close();
-        return RSVP.reject(err);
-      })
+      .then(this._withRetries.bind(this, methodName, path, isSafeToRetry.apply(null, args), function() {
+        return client[methodName].apply(client, args);
+      }))
+      .catch(this._closeOnError.bind(this));
   };
 }
+
+function always() {
+  return true;
+}
+
+function never() {
+  return false;
+}
+
+// A transaction is only safe to repeat when every op is tied to a version,
+// so a retry after a lost reply fails instead of applying it twice.
+function isGuardedTransaction(ops) {
+  return ops.every(function(op) {
+    return op.type !== 'create' && op.version !== undefined && op.version !== -1;
+  });
+}
+
+function wait(ms) {
+  return new RSVP.Promise(function(resolve) {
+    setTimeout(resolve, ms);
+  });
+}
@@ -1,22 +1,93 @@
 let CoreObject = require('core-object');
+let CreateMode = require('node-zookeeper-client').CreateMode;
 let path = require('path');
 let RSVP = require('rsvp');
 let zkProxy = require('./zookeeper-proxy');
+let ZookeeperDryRun = require('./zookeeper-dry-run');
+let zkAcl = require('./zookeeper-acl');
+let ZKError = require('./zookeeper-error');
+let ZookeeperLock = require('./zookeeper-lock');
+let zkEnvelope = require('./zookeeper-envelope');
+let retentionPolicy = require('./retention-policy');
+let retryPolicy = require('./retry-policy');
 let REVISION_PATH = 'revisions';
+let LOCK_PATH = 'locks';
+let PIN_PATH = 'pins';
+let CHANNEL_PATH = 'channels';
+// The canary routing document lives next to the pointer it splits traffic for.
+let ROUTING_NODE = 'routing';
+let HISTORY_PATH = 'history';
+let HISTORY_NODE_PREFIX = 'activation-';
+// Each file node keeps the hex sha256 of its original bytes in this child.
+let CHECKSUM_NODE = 'sha256';
 
 module.exports = CoreObject.extend({
   init(options, lib) {
     this._super();
     this.options = options;
+    this._acl = zkAcl.parse(options.acl);
 
     this._client = new zkProxy({
       connect: options.connect,
       connectionTimeout: options.connectionTimeout,
-      timeout: 1000
+      reconnectTimeout: options.reconnectTimeout,
+      auth: options.auth,
+      acl: this._acl,
+      timeout: 1000,
+      retry: retryPolicy.parse(options.retry),
+      onRetry: (retry) => {
+        if (this._onRetry) {
+          this._onRetry(retry);
+        }
+      }
     }, lib);
 
-    this._maxNumberOfRecentUploads = 10;
+    this._client.on('state', (state, previous, error) => {
+      if (this._onStateChange) {
+        this._onStateChange(state, previous, error);
+      }
+    });
+
+    this._retention = retentionPolicy.parse(options.retention);
+    // Every revision has to contain these before it can be activated.
+    this._files = options.files || [];
     this._allowOverwrite = !!options.allowOverwrite;
+    this._compression = zkEnvelope.validateCompression(options.compression);
+    this._maxNodeSize = options.maxNodeSize || zkEnvelope.DEFAULT_MAX_NODE_SIZE;
+  },
+  connect() {
+    // Opens the session up front. It then stays open, failed requests and
+    // all, until `close()` is called.
+    return this._client.open().then(function() {});
+  },
+  close() {
+    return this._client.close();
+  },
+  connectionState() {
+    // `disconnected`, `connecting`, `connected`, `reconnecting`, `expired`,
+    // `authFailed` or `closed`, see `ZookeeperPromised#state`.
+    return this._client.connectionState();
+  },
+  isConnected() {
+    return this.connectionState() === 'connected';
+  },
+  onStateChange(listener) {
+    // `listener` gets the session's new state, the previous one and the error that ended it, if any.
+    this._onStateChange = listener;
+  },
+  onRetry(listener) {
+    // `listener` is told about every retried request, see `ZookeeperProxy#_withRetries`.
+    this._onRetry = listener;
+  },
+  dryRun(plan) {
+    // From here on nothing is written: reads still hit the server, writes are
+    // recorded in `plan.mutations`. Pass the same `plan` to every client of a
+    // run so later steps see what earlier ones would have written.
+    if (!(this._client instanceof ZookeeperDryRun)) {
+      this._client = new ZookeeperDryRun(this._client, plan, { acl: this._acl, auth: this.options.auth });
+    }
+
+    return this._client.plan;
   },
   willDeploy(keyPrefix) {
     // Make sure that the /keyPrefix/revision path exists
@@ -24,6 +95,42 @@ module.exports = CoreObject.extend({
     paths.push(REVISION_PATH);
     return this._createMissingParentPaths(paths);
   },
+  acquireLock(keyPrefix, owner, timeout) {
+    // Resolves with the held lock once it's our turn, call `release()` on it when done.
+    const paths = keyPrefix.replace(/^\//, '').split('/');
+    paths.push(LOCK_PATH);
+
+    let lock = new ZookeeperLock(this._client, makePath.apply(null, paths));
+    return RSVP.resolve()
+      .then(this._createMissingParentPaths.bind(this, paths))
+      .then(lock.acquire.bind(lock, owner, timeout));
+  },
+  findAclMismatches(keyPrefix) {
+    // Compare the nodes willDeploy manages against the configured ACL.
+    let expected = this._acl;
+    let client = this._client;
+
+    if (!expected) {
+      return RSVP.resolve([]);
+    }
+
+    let paths = [makePath(keyPrefix), makePath(keyPrefix, REVISION_PATH)];
+    return RSVP.all(paths.map(function(path) {
+      return client.getACL(path).then(function(res) {
+        return { path: path, acls: res.acls };
+      });
+    })).then(function(results) {
+      return results.filter(function(result) {
+        return !zkAcl.matches(expected, result.acls);
+      }).map(function(result) {
+        return {
+          path: result.path,
+          expected: zkAcl.describe(expected),
+          actual: zkAcl.describe(result.acls)
+        };
+      });
+    });
+  },
   upload(/*keyPrefix, revisionKey, fileName, value*/) {
     // Upload the file to the specified key, given the revision number
     let args = Array.prototype.slice.call(arguments);
@@ -34,35 +141,520 @@ module.exports = CoreObject.extend({
     let zkKey = makePath(keyPrefix, revisionKey, fileName);
 
     return RSVP.Promise.resolve()
-      .then(this._createMissingParentPaths.bind(this, [keyPrefix, revisionKey]))
+      .then(function() {
+        return [keyPrefix, revisionKey].concat(fileDirectories(fileName));
+      })
+      .then(this._createMissingParentPaths.bind(this))
       .then(this._rejectIfKeyExists.bind(this, zkKey))
-      .then(this._upload.bind(this, zkKey, value))
+      .then(this._pack.bind(this, value))
+      .then(this._upload.bind(this, zkKey))
       .then(function() {
         return zkKey;
       });
   },
-  trimRecentUploads(keyPrefix, revisionKey = 'default') {
-    let maxEntries = this._maxNumberOfRecentUploads;
+  uploadChecksum(keyPrefix, revisionKey, fileName, checksum) {
+    let zkKey = makePath(keyPrefix, revisionKey, fileName, CHECKSUM_NODE);
+    return this._client.set(zkKey, checksum).then(function() {
+      return zkKey;
+    });
+  },
+  uploadRevision(keyPrefix, revisionKey, files, manifest) {
+    // Create the revision, all of its files and its registry entry in one
+    // multi-op so a failure can never leave a partial revision behind.
+    let self = this;
+    let revisionPath = makePath(keyPrefix, revisionKey);
+    let directories;
+    let fileNodes = files.map(function(file) {
+      return { path: makePath(keyPrefix, revisionKey, file.fileName), data: file.value };
+    });
+    let checksumNodes = files.filter(function(file) {
+      return file.sha256;
+    }).map(function(file) {
+      return { path: makePath(keyPrefix, revisionKey, file.fileName, CHECKSUM_NODE), data: file.sha256 };
+    });
+    let nodes = fileNodes.concat(checksumNodes, {
+      path: makePath(keyPrefix, REVISION_PATH, revisionKey),
+      data: revisionEntry(manifest)
+    });
+
     return RSVP.resolve()
-      .then(this._updateRecentUploadsList.bind(this, keyPrefix, revisionKey))
-      .then(this._trimRecentUploadsList.bind(this, keyPrefix, maxEntries));
+      .then(function() {
+        // Parents come before their children, as the transaction creates them in order.
+        directories = uniq(files.reduce(function(all, file) {
+          return all.concat(fileDirectories(file.fileName));
+        }, [])).map(function(directory) {
+          return makePath(revisionPath, directory);
+        });
+
+        return RSVP.all(fileNodes.map(function(node) {
+          return self._pack(node.data).then(function(packed) {
+            node.data = packed.data;
+            node.chunks = packed.chunks;
+          });
+        }));
+      })
+      .then(this._rejectIfTransactionTooLarge.bind(this, fileNodes))
+      .then(this._createMissingParentPaths.bind(this, [keyPrefix, REVISION_PATH]))
+      .then(function() {
+        return RSVP.all(fileNodes.map(function(node) {
+          return self._rejectIfKeyExists(node.path);
+        }));
+      })
+      .then(function() {
+        return RSVP.hash({
+          revision: self._exists(revisionPath),
+          directories: RSVP.all(directories.map(self._exists, self)),
+          nodes: RSVP.all(nodes.map(function(node) {
+            return self._exists(node.path);
+          }))
+        });
+      })
+      .then(function(existing) {
+        let ops = existing.revision ? [] : [{ type: 'create', path: revisionPath }];
+
+        directories.forEach(function(directory, index) {
+          if (!existing.directories[index]) {
+            ops.push({ type: 'create', path: directory });
+          }
+        });
+
+        nodes.forEach(function(node, index) {
+          ops.push(existing.nodes[index] ?
+            { type: 'setData', path: node.path, data: node.data, version: -1 } :
+            { type: 'create', path: node.path, data: node.data });
+        });
+
+        return self._client.transaction(ops);
+      })
+      .then(function() {
+        return fileNodes.map(function(node) {
+          return node.path;
+        });
+      });
+  },
+  trimRecentUploads(keyPrefix, revisionKey = 'default', manifest) {
+    // Resolves with the `{ revision, reasons }` removed by the retention policy.
+    return RSVP.resolve()
+      .then(this._updateRecentUploadsList.bind(this, keyPrefix, revisionKey, manifest))
+      .then(this._trimRecentUploadsList.bind(this, keyPrefix, revisionKey, this._retention));
+  },
+  createdNodes(keyPrefix, revisionKey) {
+    // The nodes this client created for `revisionKey`: its directory and
+    // everything in it, its registry entry and its pin. Shared parents such
+    // as `/keyPrefix/revisions` are not included.
+    let revisionPath = makePath(keyPrefix, revisionKey);
+    let owned = [makePath(keyPrefix, REVISION_PATH, revisionKey), makePath(keyPrefix, PIN_PATH, revisionKey)];
+
+    return this._client.createdPaths().filter(function(path) {
+      return path === revisionPath || path.indexOf(revisionPath + '/') === 0 || owned.indexOf(path) > -1;
+    });
+  },
+  removeNodes(paths) {
+    // Deletes `paths`, deepest first, one at a time. Resolves with
+    // `{ removed, kept }`, where each kept node carries the error that
+    // stopped its removal, such as children created by someone else.
+    let client = this._client;
+    let result = { removed: [], kept: [] };
+    let deepestFirst = paths.slice().sort(function(a, b) {
+      return b.split('/').length - a.split('/').length;
+    });
+
+    return deepestFirst.reduce(function(promise, path) {
+      return promise.then(function() {
+        return client.delete(path).then(function() {
+          result.removed.push(path);
+        }, function(error) {
+          if (error.code === ZKError.ZNONODE) {
+            return;
+          }
+
+          result.kept.push({ path: path, error: error });
+        });
+      });
+    }, RSVP.resolve()).then(function() {
+      return result;
+    });
+  },
+  activate(keyPrefix, revisionKey, options = {}) {
+    // With an `expectedVersion` the pointer is only moved if nobody else
+    // has changed it since that version was read. Resolves with the active
+    // revision and the checksums verified before switching to it.
+    //
+    // `channel` activates a channel pointer rather than the main one, and
+    // `info` is recorded in the activation history, e.g. `{ deployer, hostname, reason }`.
+    let self = this;
+    let expectedVersion = expectedVersionOf(options);
+    let channel = options.channel;
+    let info = options.info;
+    let checksums;
+    let previous;
+    return RSVP.resolve()
+      .then(function() {
+        // Rejects invalid channel names before anything is written.
+        channelPath(keyPrefix, channel);
+      })
+      .then(this._listRevisions.bind(this, keyPrefix))
+      .then(this._validateRevisionKey.bind(this, keyPrefix, revisionKey))
+      .then(this.verifyRevision.bind(this, keyPrefix, revisionKey))
+      .then(function(verified) {
+        checksums = verified;
+        return self.activeRevision(keyPrefix, channel);
+      })
+      .then(function(activeRevisionKey) {
+        previous = activeRevisionKey;
+      })
+      .then(this._createChannelParent.bind(this, keyPrefix, channel))
+      .then(this._activateRevisionKey.bind(this, keyPrefix, revisionKey, expectedVersion, channel))
+      .then(this._clearRouting.bind(this, keyPrefix, channel))
+      .then(this._recordActivation.bind(this, keyPrefix, revisionKey))
+      .then(function() {
+        return self._appendHistory(keyPrefix, Object.assign({}, info, {
+          from: previous,
+          to: revisionKey,
+          channel: channel
+        }));
+      })
+      .then(this.activeRevision.bind(this, keyPrefix, channel))
+      .then(function(activeRevisionKey) {
+        return {
+          revisionKey: activeRevisionKey,
+          checksums: checksums
+        };
+      });
   },
-  activate(keyPrefix, revisionKey) {
+  startCanary(keyPrefix, revisionKey, weight, channel) {
+    // Sends `weight` percent of the traffic to `revisionKey` by writing
+    // `{ primary, canary, weight }` next to the pointer, which keeps pointing
+    // at the primary. Calling it again for the running canary changes its
+    // weight. Resolves with the routing document and the verified checksums.
+    let self = this;
+    let checksums;
+    let path;
+
     return RSVP.resolve()
+      .then(function() {
+        validateWeight(weight);
+        path = routingPath(keyPrefix, channel);
+      })
       .then(this._listRevisions.bind(this, keyPrefix))
-      .then(this._validateRevisionKey.bind(this, revisionKey))
-      .then(this._activateRevisionKey.bind(this, keyPrefix, revisionKey))
-      .then(this.activeRevision.bind(this, keyPrefix));
+      .then(this._validateRevisionKey.bind(this, keyPrefix, revisionKey))
+      .then(this.verifyRevision.bind(this, keyPrefix, revisionKey))
+      .then(function(verified) {
+        checksums = verified;
+        return RSVP.hash({
+          primary: self.activeRevision(keyPrefix, channel),
+          current: self._readRouting(path)
+        });
+      })
+      .then(function(results) {
+        let current = results.current;
+
+        if (current && current.routing.canary !== revisionKey) {
+          return RSVP.reject(new Error(
+            'A canary of `' + current.routing.canary + '` is already running on `' + path + '`, promote or abort it first'
+          ));
+        }
+
+        if (!results.primary) {
+          return RSVP.reject(new Error('No revision is active on `' + path + '` to run a canary against'));
+        }
+
+        if (results.primary === revisionKey) {
+          return RSVP.reject(new Error('`' + revisionKey + '` is already the primary revision'));
+        }
+
+        let routing = { primary: results.primary, canary: revisionKey, weight: weight };
+        return self._client.set(path, JSON.stringify(routing), current ? current.version : -1)
+          .then(function() {
+            return { routing: routing, checksums: checksums };
+          });
+      });
   },
-  activeRevision(keyPrefix) {
-    let path = makePath(keyPrefix);
+  promoteCanary(keyPrefix, options = {}) {
+    // Points the pointer at the canary and drops the routing document in one
+    // transaction. Takes the options and resolves like `activate`.
+    let self = this;
+    let expectedVersion = expectedVersionOf(options);
+    let channel = options.channel;
+    let info = options.info;
+    let pointer;
+    let path;
+    let revisionKey;
+    let previous;
+
+    return RSVP.resolve()
+      .then(function() {
+        pointer = channelPath(keyPrefix, channel);
+        path = routingPath(keyPrefix, channel);
+        return self._requireRouting(path);
+      })
+      .then(function(current) {
+        revisionKey = current.routing.canary;
+        previous = current.routing.primary;
+        return self._client.transaction([
+          { type: 'setData', path: pointer, data: revisionKey, version: expectedVersion },
+          { type: 'remove', path: path, version: current.version }
+        ]);
+      })
+      .catch(function(error) {
+        if (error.code !== ZKError.ZBADVERSION) {
+          return RSVP.reject(error);
+        }
+
+        return RSVP.reject(new ZKError(
+          ZKError.ZBADVERSION,
+          'Promotion of canary `' + revisionKey + '` raced with another deploy: `' + pointer + '` or its routing ' +
+          'changed after they were read. Re-run the promotion, or pass --force to skip this check',
+          pointer
+        ));
+      })
+      .then(function() {
+        return self._recordActivation(keyPrefix, revisionKey);
+      })
+      .then(function() {
+        return self._appendHistory(keyPrefix, Object.assign({}, info, {
+          from: previous,
+          to: revisionKey,
+          channel: channel
+        }));
+      })
+      .then(function() {
+        return { revisionKey: revisionKey };
+      });
+  },
+  history(keyPrefix, channel) {
+    // Resolves with the activations of the pointer (or channel), newest first.
+    let path = makePath(keyPrefix, HISTORY_PATH);
     let client = this._client;
+
+    return this._exists(path)
+      .then(function(exists) {
+        return exists ? client.getChildren(path).then(function(res) {
+          return res.children;
+        }) : [];
+      })
+      .then(function(names) {
+        names.sort().reverse();
+        return RSVP.all(names.map(function(name) {
+          return client.get(makePath(path, name)).then(function(res) {
+            return Object.assign({ id: name }, JSON.parse(res.data));
+          });
+        }));
+      })
+      .then(function(entries) {
+        return entries.filter(function(entry) {
+          return (entry.channel || undefined) === (channel || undefined);
+        });
+      });
+  },
+  rollback(keyPrefix, options = {}) {
+    // Reactivates whatever was active before the current revision. Rollbacks
+    // undo activations one at a time, so rolling back twice goes back two
+    // activations rather than returning to where it started. Takes the
+    // options of `activate`.
+    let self = this;
+    let channel = options.channel;
+    let info = options.info;
+
+    return RSVP.hash({
+      entries: this.history(keyPrefix, channel),
+      current: this.activeRevision(keyPrefix, channel)
+    }).then(function(results) {
+      let stack = activationStack(results.entries.slice().reverse());
+      let target = stack[stack.length - 2];
+
+      if (!target) {
+        return RSVP.reject(new Error(
+          'There is no earlier activation of `' + channelPath(keyPrefix, channel) + '` to roll back to'
+        ));
+      }
+
+      if (stack[stack.length - 1] !== results.current) {
+        return RSVP.reject(new Error(
+          'The active revision `' + results.current + '` does not match the activation history, ' +
+          'activate a revision by its key instead'
+        ));
+      }
+
+      return self.activate(keyPrefix, target, Object.assign({}, options, {
+        info: Object.assign({}, info, {
+          reason: (info && info.reason) || 'rollback',
+          rollback: true
+        })
+      }));
+    });
+  },
+  abortCanary(keyPrefix, channel) {
+    // Drops the routing document so all traffic goes back to the primary.
+    // Resolves with the routing document that was removed.
+    let self = this;
+    let path;
+
+    return RSVP.resolve()
+      .then(function() {
+        path = routingPath(keyPrefix, channel);
+        return self._requireRouting(path);
+      })
+      .then(function(current) {
+        return self._client.delete(path).then(function() {
+          return current.routing;
+        });
+      });
+  },
+  canaryState(keyPrefix, channel) {
+    // Resolves with the running `{ primary, canary, weight }`, or null.
+    let self = this;
+
     return RSVP.resolve()
       .then(function() {
-        return client.get(path);
+        return self._readRouting(routingPath(keyPrefix, channel));
+      })
+      .then(function(current) {
+        return current && current.routing;
+      });
+  },
+  verifyRevision(keyPrefix, revisionKey) {
+    // Re-reads every file of the revision and makes sure the configured
+    // `files` and those listed in its manifest are all there, are not empty
+    // and match the manifest and the checksums stored at upload. Resolves
+    // with `{ fileName: sha256 }`, where files uploaded without a checksum
+    // map to null.
+    let self = this;
+
+    return RSVP.hash({
+      stored: this.listFiles(keyPrefix, revisionKey),
+      entry: this._getRevisionData(keyPrefix, revisionKey)
+    })
+      .then(function(results) {
+        let manifest = {};
+        (results.entry.files || []).forEach(function(file) {
+          manifest[file.name] = file;
+        });
+
+        let fileNames = uniq(results.stored.concat(self._files, Object.keys(manifest)));
+        return RSVP.all(fileNames.map(function(fileName) {
+          let present = results.stored.indexOf(fileName) > -1;
+          return RSVP.hash({
+            fileName: fileName,
+            present: present,
+            manifest: manifest[fileName],
+            expected: present ? self._readChecksum(keyPrefix, revisionKey, fileName) : null,
+            content: present ? self.readFile(keyPrefix, revisionKey, fileName) : null
+          });
+        }));
+      })
+      .then(function(files) {
+        let checksums = {};
+        let problems = [];
+
+        files.forEach(function(file) {
+          let name = '`' + file.fileName + '`';
+
+          if (!file.present) {
+            problems.push(name + ' is missing');
+            return;
+          }
+
+          // A node created without data reads back as null.
+          if (!file.content || !file.content.length) {
+            problems.push(name + ' is empty');
+            return;
+          }
+
+          let actual = zkEnvelope.sha256(file.content);
+
+          if (file.manifest && file.manifest.size !== file.content.length) {
+            problems.push(name + ' is ' + file.content.length + ' bytes but the manifest says ' + file.manifest.size);
+          } else if (file.manifest && file.manifest.sha256 && file.manifest.sha256 !== actual) {
+            problems.push(name + ' does not match the sha256 in the manifest');
+          }
+
+          if (file.expected && file.expected !== actual) {
+            problems.push('checksum mismatch for ' + name + ' (expected ' + file.expected + ', got ' + actual + ')');
+          }
+
+          checksums[file.fileName] = file.expected ? actual : null;
+        });
+
+        if (problems.length) {
+          return RSVP.reject(new Error('Refusing to activate `' + revisionKey + '`, ' + problems.join(', ')));
+        }
+
+        return checksums;
+      });
+  },
+  activeRevision(keyPrefix, channel) {
+    return this.activeRevisionState(keyPrefix, channel)
+      .then(function(state) {
+        return state.revision;
+      });
+  },
+  activeRevisionState(keyPrefix, channel) {
+    // Without a channel this is the `/keyPrefix` pointer itself. A channel
+    // that was never activated has no revision and no version to check.
+    let client = this._client;
+    let path;
+
+    return RSVP.resolve()
+      .then(function() {
+        path = channelPath(keyPrefix, channel);
+        return channel ? client.exists(path) : { stat: true };
+      })
+      .then(function(res) {
+        return res.stat ? client.get(path) : { data: null };
       })
       .then(function(result) {
-        return result.data;
+        return {
+          revision: result.data,
+          version: result.stat && result.stat.version
+        };
+      });
+  },
+
+  readFile(keyPrefix, revisionKey, fileName) {
+    // Resolves with the file's original bytes, reassembling chunked files
+    // and undoing any compression.
+    let path = makePath(keyPrefix, revisionKey, fileName);
+    let client = this._client;
+
+    function readChunks(count) {
+      let reads = [];
+      for (let index = 0; index < count; index++) {
+        reads.push(client.get(makePath(path, zkEnvelope.chunkName(index)), { raw: true }));
+      }
+
+      return RSVP.all(reads).then(function(results) {
+        return results.map(function(result) {
+          return result.data;
+        });
+      });
+    }
+
+    return client.get(path, { raw: true })
+      .then(function(result) {
+        return zkEnvelope.unpack(result.data, readChunks);
+      });
+  },
+
+  listFiles(keyPrefix, revisionKey, directory) {
+    // Resolves with the revision's file names relative to the revision,
+    // such as `assets/config.json` for nested files.
+    let self = this;
+    let client = this._client;
+    let directoryPath = makePath(keyPrefix, revisionKey, directory || '');
+
+    return client.getChildren(directoryPath)
+      .then(function(res) {
+        return RSVP.all(res.children.map(function(child) {
+          let fileName = directory ? directory + '/' + child : child;
+
+          return self._isDirectory(makePath(directoryPath, child)).then(function(isDirectory) {
+            return isDirectory ? self.listFiles(keyPrefix, revisionKey, fileName) : [fileName];
+          });
+        }));
+      })
+      .then(function(lists) {
+        return [].concat.apply([], lists);
       });
   },
 
@@ -78,18 +670,164 @@ module.exports = CoreObject.extend({
       .then(function() {
         return RSVP.hash({
           revisions: self._listRevisions(keyPrefix),
-          current: self.activeRevision(keyPrefix)
+          current: self.activeRevision(keyPrefix),
+          pins: self._listPins(keyPrefix),
+          channels: self.listChannels(keyPrefix)
+        });
+      })
+      .then(function(results) {
+        return self._listCanaries(keyPrefix, Object.keys(results.channels)).then(function(canaries) {
+          results.canaries = canaries;
+          return results;
         });
       })
       .then(function(results) {
         let current = results.current;
+        let channels = results.channels;
         return results.revisions.map(function(revision) {
           revision.active = current ? revision.revision === current : false;
+          revision.pinned = results.pins.indexOf(revision.revision) > -1;
+          revision.channels = Object.keys(channels).filter(function(channel) {
+            return channels[channel] === revision.revision;
+          });
+          revision.canary = results.canaries.indexOf(revision.revision) > -1;
           return revision;
         });
       });
   },
 
+  listChannels(keyPrefix) {
+    // Resolves with `{ channelName: revisionKey }`.
+    let path = makePath(keyPrefix, CHANNEL_PATH);
+    let client = this._client;
+
+    return this._exists(path)
+      .then(function(exists) {
+        return exists ? client.getChildren(path).then(function(res) {
+          return res.children;
+        }) : [];
+      })
+      .then(function(names) {
+        return RSVP.all(names.map(function(name) {
+          return client.get(makePath(path, name));
+        })).then(function(results) {
+          return names.reduce(function(channels, name, index) {
+            channels[name] = results[index].data;
+            return channels;
+          }, {});
+        });
+      });
+  },
+
+  _appendHistory(keyPrefix, entry) {
+    let client = this._client;
+
+    return this._createMissingParentPaths([keyPrefix, HISTORY_PATH])
+      .then(function() {
+        return client.create(
+          makePath(keyPrefix, HISTORY_PATH, HISTORY_NODE_PREFIX),
+          JSON.stringify(Object.assign({ timestamp: new Date().getTime() }, entry)),
+          undefined,
+          CreateMode.PERSISTENT_SEQUENTIAL
+        );
+      });
+  },
+
+  _listCanaries(keyPrefix, channels) {
+    // The canary revisions running on the main pointer and on any channel.
+    let self = this;
+
+    return RSVP.all([undefined].concat(channels).map(function(channel) {
+      return self.canaryState(keyPrefix, channel);
+    })).then(function(states) {
+      return states.filter(Boolean).map(function(routing) {
+        return routing.canary;
+      });
+    });
+  },
+
+  _readRouting(path) {
+    let client = this._client;
+
+    return client.exists(path)
+      .then(function(res) {
+        return res.stat ? client.get(path) : null;
+      })
+      .then(function(result) {
+        return result && {
+          routing: JSON.parse(result.data),
+          version: result.stat && result.stat.version
+        };
+      });
+  },
+
+  _requireRouting(path) {
+    return this._readRouting(path).then(function(current) {
+      return current || RSVP.reject(new Error('No canary is running on `' + path + '`'));
+    });
+  },
+
+  _clearRouting(keyPrefix, channel) {
+    // Activating a revision outright ends any canary running on the pointer.
+    let client = this._client;
+    let path = routingPath(keyPrefix, channel);
+
+    return this._exists(path).then(function(exists) {
+      return exists ? client.delete(path) : null;
+    });
+  },
+
+  _createChannelParent(keyPrefix, channel) {
+    if (channel) {
+      return this._createMissingParentPaths([keyPrefix, CHANNEL_PATH]);
+    }
+  },
+
+  pin(keyPrefix, revisionKey, owner) {
+    // Pinned revisions are never trimmed, whatever the retention policy.
+    let path = makePath(keyPrefix, PIN_PATH, revisionKey);
+    let client = this._client;
+
+    // Only the revision's files have to be there, so a revision can be pinned
+    // as part of its own upload, before it is registered.
+    return this._exists(makePath(keyPrefix, revisionKey))
+      .then(function(exists) {
+        return exists ? RSVP.resolve() : RSVP.reject(new ZKError(
+          ZKError.ZNONODE,
+          '`' + revisionKey + '` is not a valid revision key',
+          makePath(keyPrefix, revisionKey),
+          'pin'
+        ));
+      })
+      .then(this._createMissingParentPaths.bind(this, [keyPrefix, PIN_PATH]))
+      .then(function() {
+        return client.set(path, JSON.stringify(Object.assign({}, owner, { pinnedAt: new Date().getTime() })));
+      })
+      .then(function() {
+        return path;
+      });
+  },
+
+  unpin(keyPrefix, revisionKey) {
+    let path = makePath(keyPrefix, PIN_PATH, revisionKey);
+    let client = this._client;
+
+    return this._exists(path).then(function(exists) {
+      return exists ? client.delete(path) : null;
+    });
+  },
+
+  _listPins(keyPrefix) {
+    let path = makePath(keyPrefix, PIN_PATH);
+    let client = this._client;
+
+    return this._exists(path).then(function(exists) {
+      return exists ? client.getChildren(path).then(function(res) {
+        return res.children;
+      }) : [];
+    });
+  },
+
   _listRevisions(keyPrefix) {
     let path = makePath(keyPrefix, REVISION_PATH);
     let self = this;
@@ -106,10 +844,7 @@ module.exports = CoreObject.extend({
     return RSVP.resolve()
       .then(this._client.get.bind(this._client, path))
       .then(function(res) {
-        return {
-          revision: revision,
-          timestamp: parseInt(res.data.toString(), 10)
-        };
+        return parseRevisionEntry(revision, res.data.toString());
       });
   },
   _createMissingParentPaths(parts) {
@@ -134,7 +869,7 @@ module.exports = CoreObject.extend({
       return promise.then(function() {
         return self._exists(zkKey);
       }).then(function(exists) {
-        return exists ? RSVP.reject('Value already exists for key: ' + zkKey) : RSVP.resolve();
+        return exists ? RSVP.reject(new ZKError(ZKError.ZNODEEXISTS, 'Value already exists for key: ' + zkKey, zkKey, 'create')) : RSVP.resolve();
       });
     }
 
@@ -148,76 +883,221 @@ module.exports = CoreObject.extend({
     });
   },
 
-  _upload(zkKey, value) {
+  _isDirectory(path) {
+    // Directories are the empty nodes created above nested files. A file
+    // node always has data, a header at least for chunked files, and an
+    // empty file at most has its checksum as a child.
     let client = this._client;
-    return client.set(zkKey, value);
+
+    return client.get(path, { raw: true }).then(function(result) {
+      if (result.data && result.data.length) {
+        return false;
+      }
+
+      return client.getChildren(path).then(function(res) {
+        return res.children.some(function(child) {
+          return child !== CHECKSUM_NODE;
+        });
+      });
+    });
   },
 
-  _updateRecentUploadsList(keyPrefix, revisionKey) {
+  _readChecksum(keyPrefix, revisionKey, fileName) {
+    let zkKey = makePath(keyPrefix, revisionKey, fileName, CHECKSUM_NODE);
     let client = this._client;
-    let timeAdded = new Date().getTime();
-    let listKey = makePath(keyPrefix, REVISION_PATH, revisionKey);
-    return client.set(listKey, timeAdded);
+
+    return this._exists(zkKey).then(function(exists) {
+      return exists ? client.get(zkKey).then(function(res) {
+        return res.data.toString();
+      }) : null;
+    });
   },
 
-  _deleteChildrenAndSelf(path) {
-    // Delete the children of this path and itself.
-    let client = this._client;
-    return client.getChildren(path).then(function(res) {
-      return RSVP.all(res.children.map(function(child) {
-        return client.delete(makePath(path, child));
-      }));
-    }).then(function() {
-      return client.delete(path);
+  _pack(value) {
+    return zkEnvelope.pack(value, {
+      compression: this._compression,
+      maxNodeSize: this._maxNodeSize
     });
   },
 
-  _trimRecentUploadsList(keyPrefix, maxEntries) {
+  _upload(zkKey, packed) {
     let client = this._client;
-    let self = this;
 
-    return this._fetchRevisions(keyPrefix).then(function(results) {
-      // Get all the revisions.
-      return RSVP.all(results.filter(function(revision) {
-        return !revision.active;
-      }).map(function(revision) {
-        let path = makePath(keyPrefix, REVISION_PATH, revision.revision);
-        return RSVP.hash({
-          clientData: client.get(path),
-          revision: revision,
-          path: path
-        });
-      }));
-    }).then(function(revisionsData) {
-      // Sort by the value (date) descending.
-      revisionsData.sort(function(a, b) {
-        return a.clientData.data > b.clientData.data ? -1 : 1;
+    if (!packed.chunks.length) {
+      return client.set(zkKey, packed.data);
+    }
+
+    // Write the chunks before the header that points at them.
+    return packed.chunks.reduce(function(promise, chunk, index) {
+      return promise.then(function() {
+        return client.set(makePath(zkKey, zkEnvelope.chunkName(index)), chunk);
       });
+    }, client.createIfNotExists(zkKey)).then(function() {
+      return client.set(zkKey, packed.data);
+    });
+  },
+
+  _rejectIfTransactionTooLarge(fileNodes) {
+    // A multi-op is a single request, so it is bound by jute.maxbuffer as a whole.
+    let size = fileNodes.reduce(function(total, node) {
+      return total + node.data.length + node.chunks.reduce(function(sum, chunk) {
+        return sum + chunk.length;
+      }, 0);
+    }, 0);
+
+    if (size > this._maxNodeSize) {
+      return RSVP.reject(new Error(
+        'The revision is ' + size + ' bytes, more than the ' + this._maxNodeSize + ' bytes a single ' +
+        'transaction can carry. Disable `transactional` to upload it in chunks'
+      ));
+    }
+  },
+
+  _updateRecentUploadsList(keyPrefix, revisionKey, manifest) {
+    let client = this._client;
+    let listKey = makePath(keyPrefix, REVISION_PATH, revisionKey);
+    return client.set(listKey, revisionEntry(manifest));
+  },
+
+  _trimRecentUploadsList(keyPrefix, revisionKey, policy) {
+    let client = this._client;
 
-      // Get the oldest items beyond the maximum number of entries.
-      let revisionsToRemove = revisionsData.slice(maxEntries);
+    return this._fetchRevisions(keyPrefix).then(function(revisions) {
+      let removed = retentionPolicy.apply(policy, revisions, null, revisionKey).removed;
 
-      return RSVP.all(revisionsToRemove.map(function(revisionData) {
-        let revision = revisionData.revision.revision;
+      return RSVP.all(removed.map(function(removal) {
         return RSVP.all([
-          client.delete(revisionData.path),
-          self._deleteChildrenAndSelf(makePath(keyPrefix, revision))
+          client.delete(makePath(keyPrefix, REVISION_PATH, removal.revision)),
+          client.deleteRecursive(makePath(keyPrefix, removal.revision))
         ]);
-      }));
+      })).then(function() {
+        return removed;
+      });
+    });
+  },
+  _recordActivation(keyPrefix, revision) {
+    // Remembered in the revision entry for the `keepActivated` retention rule.
+    let path = makePath(keyPrefix, REVISION_PATH, revision);
+    let client = this._client;
+
+    return client.get(path).then(function(res) {
+      let entry = parseRevisionEntry(revision, res.data.toString());
+      delete entry.revision;
+      entry.activatedAt = new Date().getTime();
+      return client.set(path, JSON.stringify(entry));
     });
   },
-  _validateRevisionKey(revisionKey, revisions) {
+  _validateRevisionKey(keyPrefix, revisionKey, revisions) {
     let revisionsList = revisions.map(function(revision) {
       return revision.revision;
     });
-    return revisionsList.indexOf(revisionKey) > -1 ? RSVP.resolve() : RSVP.reject('`' + revisionKey + '` is not a valid revision key');
+    return revisionsList.indexOf(revisionKey) > -1 ? RSVP.resolve() : RSVP.reject(new ZKError(
+      ZKError.ZNONODE,
+      '`' + revisionKey + '` is not a valid revision key',
+      makePath(keyPrefix, REVISION_PATH, revisionKey),
+      'activate'
+    ));
   },
-  _activateRevisionKey(keyPrefix, revision) {
-    let path = makePath(keyPrefix);
-    return this._client.set(path, revision);
+  _activateRevisionKey(keyPrefix, revision, expectedVersion, channel) {
+    let path = channelPath(keyPrefix, channel);
+    return this._client.set(path, revision, expectedVersion)
+      .catch(function(error) {
+        if (error.code !== ZKError.ZBADVERSION) {
+          return RSVP.reject(error);
+        }
+
+        return RSVP.reject(new ZKError(
+          ZKError.ZBADVERSION,
+          'Activation of `' + revision + '` raced with another deploy: `' + path + '` changed after it was read. ' +
+          'Re-run the activation, or pass --force to skip this check',
+          path
+        ));
+      });
   }
 });
 
+function channelPath(keyPrefix, channel) {
+  if (!channel) {
+    return makePath(keyPrefix);
+  }
+
+  if (!/^[\w.-]+$/.test(channel)) {
+    throw new Error('Invalid channel name `' + channel + '`, use letters, digits, `.`, `_` and `-` only');
+  }
+
+  return makePath(keyPrefix, CHANNEL_PATH, channel);
+}
+
+// Version -1 moves the pointer whatever its version.
+function expectedVersionOf(options) {
+  return options.expectedVersion === undefined ? -1 : options.expectedVersion;
+}
+
+// Replays activations, oldest first, into the revisions a rollback walks back through.
+function activationStack(entries) {
+  return entries.reduce(function(stack, entry) {
+    if (entry.rollback) {
+      stack.pop();
+    } else {
+      if (!stack.length && entry.from) {
+        stack.push(entry.from);
+      }
+      stack.push(entry.to);
+    }
+
+    return stack;
+  }, []);
+}
+
+// The directories above a file, parents first: `a/b/c.js` gives `a` and `a/b`.
+function fileDirectories(fileName) {
+  let parts = String(fileName).split('/');
+
+  if (parts.some(function(part) {
+    return !part || part === '.' || part === '..';
+  })) {
+    throw new Error('Invalid file name `' + fileName + '`, use a path relative to `distDir` without `.` or `..`');
+  }
+
+  return parts.slice(0, -1).map(function(part, index) {
+    return parts.slice(0, index + 1).join('/');
+  });
+}
+
+function uniq(list) {
+  return list.filter(function(item, index) {
+    return list.indexOf(item) === index;
+  });
+}
+
+function routingPath(keyPrefix, channel) {
+  return makePath(channelPath(keyPrefix, channel), ROUTING_NODE);
+}
+
+function validateWeight(weight) {
+  if (typeof weight !== 'number' || !(weight > 0 && weight <= 100)) {
+    throw new Error('The canary weight must be a percentage above 0 and up to 100, got `' + weight + '`');
+  }
+}
+
+// Revisions used to be registered with a bare millisecond timestamp, they
+// now get a JSON manifest describing the deploy.
+function revisionEntry(manifest) {
+  let timestamp = new Date().getTime();
+  return manifest ? JSON.stringify(Object.assign({}, manifest, { timestamp: timestamp })) : timestamp;
+}
+
+function parseRevisionEntry(revision, data) {
+  if (data.charAt(0) !== '{') {
+    return {
+      revision: revision,
+      timestamp: parseInt(data, 10)
+    };
+  }
+
+  return Object.assign({ revision: revision }, JSON.parse(data));
+}
+
 function makePath(...args) {
   args.unshift('/');
   return path.join(...args);
@@ -1,14 +1,23 @@
 const CoreObject = require('core-object');
 const ZKError = require('../../lib/zookeeper-error');
 const Buffer = require('buffer').Buffer;
+const ACL = require('node-zookeeper-client').ACL;
+const CreateMode = require('node-zookeeper-client').CreateMode;
 
 const FakeZookeeperClient = CoreObject.extend({
   init: function(options) {
     this._super();
     this._hash = {};
+    this._acls = {};
+    this._versions = {};
+    this._watchers = {};
+    this._ephemerals = [];
+    this._sequence = 0;
     this._callbacks = {};
+    this._listeners = {};
     this.options = options;
     this.isConnected = false;
+    this.authInfo = [];
   },
 
   once(event, callback) {
@@ -16,19 +25,28 @@ const FakeZookeeperClient = CoreObject.extend({
   },
 
   connect() {
-    const cb = this._callbacks.connected;
     this.isConnected = true;
 
     return next(function() {
-      cb && cb();
+      this._emit('connected');
     }.bind(this), 'connecting');
   },
 
+  addAuthInfo(scheme, auth) {
+    this.authInfo.push({ scheme: scheme, auth: auth });
+  },
+
   close() {
     if (this.closeCb) {
       this.closeCb();
     }
     this.isConnected = false;
+
+    // Ephemeral nodes go away with the session.
+    this._ephemerals.splice(0).forEach(function(path) {
+      delete this._hash[path];
+      this._fireWatchers(path);
+    }, this);
     return;
   },
 
@@ -41,51 +59,90 @@ const FakeZookeeperClient = CoreObject.extend({
       let hash = this._hash;
       let data = hash[path];
 
-      if (data && !(data instanceof Uint16Array)) {
+      if (data && !(data instanceof Uint16Array) && !Buffer.isBuffer(data)) {
         data = Buffer.from(data.toString());
       }
 
-      return cb(null, data, { path: path });
+      return cb(null, data, { path: path, version: this._versions[path] || 0 });
     }.bind(this), 'a_get');
   },
 
-  on(key, cb) {
-    this._closeCb = cb;
+  on(event, cb) {
+    this._listeners[event] = (this._listeners[event] || []).concat(cb);
+  },
+
+  // Simulates the client reporting a change of session state, such as
+  // `disconnected` or `expired`.
+  _emit(event) {
+    const cb = this._callbacks[event];
+    delete this._callbacks[event];
+
+    if (event === 'disconnected' || event === 'expired') {
+      this.isConnected = false;
+    } else if (event === 'connected') {
+      this.isConnected = true;
+    }
+
+    cb && cb();
+    (this._listeners[event] || []).forEach(function(listener) {
+      listener();
+    });
   },
 
-  exists(path, cb) {
+  exists(path, watcher, cb) {
+    if (!cb) {
+      cb = watcher;
+      watcher = null;
+    }
+
     return next(function() {
       if (!this.isConnected) {
         return this._notConnectedErr(cb);
       }
 
+      if (watcher) {
+        this._watchers[path] = (this._watchers[path] || []).concat(watcher);
+      }
+
       let hash = this._hash;
       let value = path in hash ? {} : null;
       return cb(null, value);
     }.bind(this), 'a_exists');
   },
 
-  setData(path, data, cb) {
+  setData(path, data, version, cb) {
+    if (!cb) {
+      cb = version;
+      version = -1;
+    }
+
     return next(function() {
       if (!this.isConnected) {
         return this._notConnectedErr(cb);
       }
 
       let hash = this._hash;
+      let currentVersion = this._versions[path] || 0;
       if (!this._parentPathExists(path) || !path in hash) {
         return this._nodeDoesNotExist(path, cb);
+      } else if (version !== -1 && version !== currentVersion) {
+        return cb(new ZKError(ZKError.ZBADVERSION, null, path));
       } else {
         hash[path] = data;
-        cb(null, { path: path });
+        this._versions[path] = currentVersion + 1;
+        cb(null, { path: path, version: currentVersion + 1 });
       }
     }.bind(this), 'a_set');
   },
 
-  create(path, data, cb) {
-    if (!cb) {
-      cb = data;
-      data = null;
-    }
+  create(path, ...args) {
+    // Mirror the real client's optional data, acls and mode arguments.
+    let cb = args.pop();
+    let data = args[0] && !Array.isArray(args[0]) && typeof args[0] !== 'number' ? args[0] : null;
+    let acls = args.filter(Array.isArray)[0];
+    let mode = args.filter(function(arg) {
+      return typeof arg === 'number';
+    })[0] || CreateMode.PERSISTENT;
 
     return next(function() {
       if (!this.isConnected) {
@@ -95,9 +152,18 @@ const FakeZookeeperClient = CoreObject.extend({
       if (!this._parentPathExists(path)) {
         return this._nodeDoesNotExist(cb, path);
       } else if (path in this._hash) {
-        return cb('The node already exists');
+        return cb(new ZKError(ZKError.ZNODEEXISTS, null, path));
       } else {
+        if (mode === CreateMode.PERSISTENT_SEQUENTIAL || mode === CreateMode.EPHEMERAL_SEQUENTIAL) {
+          path = path + ('000000000' + this._sequence++).slice(-10);
+        }
+        if (mode === CreateMode.EPHEMERAL || mode === CreateMode.EPHEMERAL_SEQUENTIAL) {
+          this._ephemerals.push(path);
+        }
         this._hash[path] = data;
+        if (acls) {
+          this._acls[path] = acls;
+        }
         return cb(null, path);
       }
     }.bind(this), 'a_create');
@@ -109,16 +175,17 @@ const FakeZookeeperClient = CoreObject.extend({
         return this._notConnectedErr(cb);
       }
 
-      let childKeys = Object.keys(this._hash).filter(function(key) {
-        return key.indexOf(path) !== 0;
+      let hasChildren = Object.keys(this._hash).some(function(key) {
+        return key.indexOf(path + '/') === 0;
       });
 
-      if (childKeys > 1) {
-        return cb(ZKError.ZNOTEMPTY, 'The node has children.');
+      if (hasChildren) {
+        return cb(new ZKError(ZKError.ZNOTEMPTY, null, path));
       }
 
       if (path in this._hash) {
         delete this._hash[path];
+        this._fireWatchers(path);
       }
 
       return cb(null);
@@ -136,20 +203,118 @@ const FakeZookeeperClient = CoreObject.extend({
       let children = keys.filter(function(key) {
         return reg.test(key);
       }).map(function(key) {
-        return key.replace(reg, function(a, b) {
-          return b;
-        });
+        return key.match(reg)[1];
+      }).filter(function(child, index, all) {
+        // Deeper descendants share their first segment.
+        return all.indexOf(child) === index;
       });
 
       return cb(null, children);
     }.bind(this), 'a_get_children');
   },
 
+  getACL(path, cb) {
+    return next(function() {
+      if (!this.isConnected) {
+        return this._notConnectedErr(cb);
+      }
+
+      if (!(path in this._hash)) {
+        return this._nodeDoesNotExist(cb, path);
+      }
+
+      return cb(null, this._acls[path] || ACL.OPEN_ACL_UNSAFE, { path: path });
+    }.bind(this), 'a_get_acl');
+  },
+
+  transaction() {
+    const client = this;
+    const ops = [];
+    const transaction = {
+      create(path, data, acls) {
+        ops.push({ type: 'create', path: path, data: data, acls: acls });
+        return transaction;
+      },
+      setData(path, data, version) {
+        ops.push({ type: 'setData', path: path, data: data, version: version });
+        return transaction;
+      },
+      remove(path, version) {
+        ops.push({ type: 'remove', path: path, version: version });
+        return transaction;
+      },
+      check(path, version) {
+        ops.push({ type: 'check', path: path, version: version });
+        return transaction;
+      },
+      commit(cb) {
+        return next(function() {
+          if (!client.isConnected) {
+            return client._notConnectedErr(cb);
+          }
+
+          // Apply every op to a copy so nothing is written unless all succeed.
+          let hash = Object.assign({}, client._hash);
+          let versions = Object.assign({}, client._versions);
+          let error = null;
+
+          ops.some(function(op) {
+            let parent = op.path.slice(0, op.path.lastIndexOf('/'));
+            let versioned = op.version !== undefined && op.version !== -1;
+
+            if (op.type === 'create' && (op.path in hash || (parent && !(parent in hash)))) {
+              error = op.path in hash ? ZKError.ZNODEEXISTS : ZKError.ZNONODE;
+            } else if (op.type !== 'create' && !(op.path in hash)) {
+              error = ZKError.ZNONODE;
+            } else if (op.type !== 'create' && versioned && op.version !== (versions[op.path] || 0)) {
+              error = ZKError.ZBADVERSION;
+            } else if (op.type === 'remove') {
+              delete hash[op.path];
+            } else if (op.type !== 'check') {
+              hash[op.path] = op.data;
+              versions[op.path] = op.type === 'setData' ? (versions[op.path] || 0) + 1 : 0;
+            }
+
+            return error;
+          });
+
+          if (error) {
+            return cb(new ZKError(error));
+          }
+
+          Object.keys(client._hash).forEach(function(key) {
+            delete client._hash[key];
+          });
+          Object.assign(client._hash, hash);
+          Object.assign(client._versions, versions);
+          client.transactions = (client.transactions || 0) + 1;
+
+          return cb(null, ops.map(function(op) {
+            return { type: op.type };
+          }));
+        }, 'a_multi');
+      }
+    };
+
+    return transaction;
+  },
+
+  _fireWatchers(path) {
+    let watchers = this._watchers[path] || [];
+    delete this._watchers[path];
+
+    watchers.forEach(function(watcher) {
+      next(function() {
+        watcher({ name: 'NODE_DELETED', path: path });
+      });
+    });
+  },
+
   _notConnectedErr(cb) {
     cb('Not connected to Zookeeper');
   },
   _nodeDoesNotExist(cb, path) {
-    cb(ZKError.ZNONODE, 'Node does not exist');
+    cb(new ZKError(ZKError.ZNONODE, null, path));
   },
   _parentPathExists(path) {
     let parts = path.split('/');
@@ -2,6 +2,9 @@
 let RSVP = require('rsvp');
 let assert  = require('../helpers/assert');
 let FakeZookeeper = require('../helpers/fake-zk-client');
+let ZKError = require('../../lib/zookeeper-error');
+let fs = require('fs');
+let crypto = require('crypto');
 
 let stubProject = {
   name: function() {
@@ -37,9 +40,11 @@ describe('ember-cli-deploy-zookeeper', function() {
       name: 'test-plugin'
     });
     assert.ok(plugin.configure);
+    assert.ok(plugin.setup);
     assert.ok(plugin.upload);
     assert.ok(plugin.activate);
     assert.ok(plugin.didDeploy);
+    assert.ok(plugin.teardown);
   });
 
   describe('configure hook', function() {
@@ -88,6 +93,29 @@ describe('ember-cli-deploy-zookeeper', function() {
       assert.equal(zkClient.options.port, 1234);
     });
 
+    it('passes the auth config through to the client', function() {
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let auth = [{ scheme: 'digest', credentials: 'deployer:secret' }];
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            auth: auth
+          }
+        },
+        _zkLib: FakeZookeeper
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+      let zkClient = plugin.readConfig('zookeeperDeployClient');
+      assert.deepEqual(zkClient._client.client.options.auth, auth);
+    });
+
     describe('resolving revisionKey from the pipeline', function() {
       it('uses the config data if it already exists', function() {
         let plugin = subject.createDeployPlugin({
@@ -198,7 +226,7 @@ describe('ember-cli-deploy-zookeeper', function() {
           return previous;
         }, []);
 
-        assert.equal(messages.length, 8);
+        assert.equal(messages.length, 24);
       });
 
       it('adds default config to the config object', function() {
@@ -237,7 +265,7 @@ describe('ember-cli-deploy-zookeeper', function() {
 
           return previous;
         }, []);
-        assert.equal(messages.length, 7);
+        assert.equal(messages.length, 23);
       });
       it('does not add default config to the config object', function() {
         plugin.configure(context);
@@ -312,90 +340,171 @@ describe('ember-cli-deploy-zookeeper', function() {
           ]);
         });
     });
-  });
-
-  describe('activate hook', function() {
-    it('activates revision', function() {
-      let activateCalled = false;
-      let activatePath = '';
-      let activateRevision = '';
 
-      let plugin = subject.createDeployPlugin({
+    it('uploads files from nested directories of distDir', function() {
+      let hash;
+      plugin = subject.createDeployPlugin({
         name: 'zookeeper'
       });
 
-      let context = {
+      context = {
         ui: mockUi,
         project: stubProject,
         config: {
           zookeeper: {
             keyPrefix: 'test-prefix',
-            files: ['index.html'],
+            files: ['index.html', 'assets/config.json'],
             distDir: 'tests/upload-files',
-            revisionKey: '123abc',
-            zookeeperDeployClient: function(context){
-              return {
-                activate: function(path, revision) {
-                  activateCalled = true;
-                  activatePath = path;
-                  activateRevision = revision;
-                  assert.equal(arguments.length, 2);
-                }
-              };
-            }
+            revisionKey: 'evenbeforewegottoten'
           }
-        }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            hash = this._hash;
+          }
+        })
       };
 
       plugin.beforeHook(context);
+      plugin.configure(context);
 
-      return assert.isFulfilled(plugin.activate(context))
+      return assert.isFulfilled(plugin.upload(context))
         .then(function(result) {
-          assert.ok(activateCalled);
-          assert.equal(result.revisionData.activatedRevisionKey, '123abc');
-          assert.equal(activatePath, 'test-prefix');
-          assert.equal(activateRevision, '123abc');
+          let manifest = JSON.parse(hash['/test-prefix/revisions/evenbeforewegottoten']);
+
+          assert.deepEqual(result[1], { zkKey: '/test-prefix/evenbeforewegottoten/assets/config.json' });
+          assert.ok('/test-prefix/evenbeforewegottoten/assets' in hash);
+          assert.equal(
+            hash['/test-prefix/evenbeforewegottoten/assets/config.json'].toString(),
+            fs.readFileSync('tests/upload-files/assets/config.json', 'utf8')
+          );
+          assert.equal(manifest.files[1].name, 'assets/config.json');
         });
     });
 
-    it('rejects if an error is thrown when activating', function() {
-      let plugin = subject.createDeployPlugin({
+    describe('filePattern', function() {
+      function uploadWith(config) {
+        plugin = subject.createDeployPlugin({
+          name: 'zookeeper'
+        });
+
+        context = {
+          ui: mockUi,
+          project: stubProject,
+          config: {
+            zookeeper: Object.assign({
+              keyPrefix: 'test-prefix',
+              distDir: 'tests/upload-files',
+              revisionKey: 'evenbeforewegottoten'
+            }, config)
+          },
+          _zkLib: FakeZookeeper
+        };
+
+        plugin.beforeHook(context);
+        plugin.configure(context);
+
+        return plugin.upload(context);
+      }
+
+      function uploadedFiles(result) {
+        return result.map(function(upload) {
+          return upload.zkKey.replace('/test-prefix/evenbeforewegottoten/', '');
+        }).sort();
+      }
+
+      it('uploads the files matching the pattern', function() {
+        return assert.isFulfilled(uploadWith({ filePattern: '{index.html,robots.txt,**/*.json}' }))
+          .then(function(result) {
+            assert.deepEqual(uploadedFiles(result), ['assets/config.json', 'index.html', 'robots.txt']);
+          });
+      });
+
+      it('leaves out excluded files', function() {
+        return assert.isFulfilled(uploadWith({ filePattern: '**/*', excludePattern: ['*.ico', 'assets/**'] }))
+          .then(function(result) {
+            assert.deepEqual(uploadedFiles(result), ['index.html', 'random.css', 'robots.txt']);
+          });
+      });
+
+      it('fails when the pattern matches nothing', function() {
+        return assert.isRejected(uploadWith({ filePattern: '*.txt', excludePattern: 'robots.txt' }))
+          .then(function(error) {
+            assert.equal(error.message, '`filePattern` `*.txt` matched no files in `tests/upload-files`');
+          });
+      });
+
+      it('fails when the pattern misses a required file', function() {
+        return assert.isRejected(uploadWith({ filePattern: '**/*.json' }))
+          .then(function(error) {
+            assert.equal(
+              error.message,
+              '`filePattern` did not match `index.html`, which `files` requires for activation. ' +
+              'Widen `filePattern` or set `files` to the files every revision must contain'
+            );
+          });
+      });
+
+      it('uploads a pattern without index.html when `files` says so', function() {
+        return assert.isFulfilled(uploadWith({ filePattern: '**/*.json', files: ['assets/config.json'] }))
+          .then(function(result) {
+            assert.deepEqual(uploadedFiles(result), ['assets/config.json']);
+          });
+      });
+
+      it('refuses to upload more than maxFiles files', function() {
+        return assert.isRejected(uploadWith({ filePattern: '**/*', maxFiles: 3 }))
+          .then(function(error) {
+            assert.match(error.message, /^Refusing to upload 5 files, more than `maxFiles` \(3\)/);
+          });
+      });
+
+      it('refuses to upload more than maxTotalSize bytes', function() {
+        return assert.isRejected(uploadWith({ files: ['index.html', 'favicon.ico'], maxTotalSize: 100 }))
+          .then(function(error) {
+            assert.match(error.message, /^Refusing to upload \d+ bytes, more than `maxTotalSize` \(100\)/);
+          });
+      });
+    });
+
+    it('uploads binary files byte for byte', function() {
+      let hash;
+      plugin = subject.createDeployPlugin({
         name: 'zookeeper'
       });
 
-      let context = {
+      context = {
         ui: mockUi,
         project: stubProject,
         config: {
           zookeeper: {
             keyPrefix: 'test-prefix',
-            files: ['index.html'],
+            files: ['favicon.ico'],
             distDir: 'tests/upload-files',
-            revisionKey: '123abc',
-            zookeeperDeployClient: function(context){
-              return {
-                activate: function() {
-                  return RSVP.reject('some-error');
-                }
-              };
-            }
+            revisionKey: 'evenbeforewegottoten'
           }
-        }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            hash = this._hash;
+          }
+        })
       };
 
       plugin.beforeHook(context);
-      return assert.isRejected(plugin.activate(context))
-        .then(function(error) {
-          assert.equal(error, 'some-error');
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.upload(context))
+        .then(function() {
+          let stored = hash['/test-prefix/evenbeforewegottoten/favicon.ico'];
+          assert.ok(stored.equals(fs.readFileSync('tests/upload-files/favicon.ico')));
         });
     });
-  });
-
-  describe('willActivate hook', function() {
-    it('returns the current active version', function() {
-      let plugin;
-      let context;
 
+    it('stores a sha256 checksum next to each file', function() {
+      let hash;
       plugin = subject.createDeployPlugin({
         name: 'zookeeper'
       });
@@ -406,109 +515,124 @@ describe('ember-cli-deploy-zookeeper', function() {
         config: {
           zookeeper: {
             keyPrefix: 'test-prefix',
-            files: ['index.html'],
+            files: ['favicon.ico'],
             distDir: 'tests/upload-files',
-            revisionKey: '123abc',
-            zookeeperDeployClient: function(context) {
-              return {
-                activeRevision: function() {
-                  return RSVP.resolve('active-revision');
-                }
-              };
-            }
+            revisionKey: 'evenbeforewegottoten'
           }
-        }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            hash = this._hash;
+          }
+        })
       };
 
       plugin.beforeHook(context);
       plugin.configure(context);
 
-      return assert.isFulfilled(plugin.willActivate(context))
-        .then(function(versionData) {
-          assert.deepEqual(versionData, {
-            revisionData: {
-              previousRevisionKey: 'active-revision'
-            }
-          });
+      return assert.isFulfilled(plugin.upload(context))
+        .then(function() {
+          let expected = crypto.createHash('sha256')
+            .update(fs.readFileSync('tests/upload-files/favicon.ico'))
+            .digest('hex');
+          assert.equal(hash['/test-prefix/evenbeforewegottoten/favicon.ico/sha256'], expected);
         });
     });
-  });
 
-  describe('willDeploy hook', function() {
-    it('prints a message for the validation of required zookeeper paths', function() {
-      let messageOutput = '';
-      let plugin = subject.createDeployPlugin({
+    it('registers the revision with a manifest of the deploy', function() {
+      let hash;
+      plugin = subject.createDeployPlugin({
         name: 'zookeeper'
       });
 
-      let context = {
-        deployTarget: 'qa',
-        ui: {
-          write: function(message) {
-            messageOutput = messageOutput + message;
-          },
-          writeLine: function(message){
-            messageOutput = messageOutput + message + '\n';
-          }
-        },
+      context = {
+        ui: mockUi,
         project: stubProject,
+        deployTarget: 'production',
+        revisionData: {
+          revisionKey: 'evenbeforewegottoten',
+          scm: { sha: '41d41f0', branch: 'master' }
+        },
+        commandOptions: {},
         config: {
-          zookeeper: { }
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            files: ['index.html', 'robots.txt'],
+            distDir: 'tests/upload-files'
+          }
         },
-        _zkLib: FakeZookeeper
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            hash = this._hash;
+          }
+        })
       };
 
       plugin.beforeHook(context);
       plugin.configure(context);
-      return assert.isFulfilled(plugin.willDeploy(context))
+
+      return assert.isFulfilled(plugin.upload(context))
         .then(function() {
-          assert.match(messageOutput, /Validating presence of required paths for/);
+          let manifest = JSON.parse(hash['/test-prefix/revisions/evenbeforewegottoten']);
+          let index = fs.readFileSync('tests/upload-files/index.html');
+
+          assert.equal(manifest.deployTarget, 'production');
+          assert.equal(manifest.gitSha, '41d41f0');
+          assert.equal(manifest.gitBranch, 'master');
+          assert.equal(manifest.hostname, require('os').hostname());
+          assert.equal(manifest.pluginVersion, require('../../package.json').version);
+          assert.isNumber(manifest.timestamp);
+          assert.deepEqual(manifest.files.map(function(file) {
+            return file.name;
+          }), ['index.html', 'robots.txt']);
+          assert.deepEqual(manifest.files[0], {
+            name: 'index.html',
+            size: index.length,
+            sha256: crypto.createHash('sha256').update(index).digest('hex')
+          });
         });
     });
-  });
-
-  describe('didDeploy hook', function() {
-    it('prints default message about lack of activation when revision has not been activated', function() {
-      let messageOutput = '';
 
-      let plugin = subject.createDeployPlugin({
+    it('pins the uploaded revision with --pin', function() {
+      let hash;
+      plugin = subject.createDeployPlugin({
         name: 'zookeeper'
       });
-      plugin.upload = function(){};
-      plugin.activate = function(){};
 
-      let context = {
-        deployTarget: 'qa',
-        ui: {
-          write: function(message){
-            messageOutput = messageOutput + message;
-          },
-          writeLine: function(message){
-            messageOutput = messageOutput + message + '\n';
-          }
-        },
+      context = {
+        ui: mockUi,
         project: stubProject,
+        commandOptions: { pin: true },
         config: {
-          zookeeper: { }
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            files: ['index.html'],
+            distDir: 'tests/upload-files',
+            revisionKey: 'evenbeforewegottoten'
+          }
         },
-        revisionData: {
-          revisionKey: '123abc',
-        }
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            hash = this._hash;
+          }
+        })
       };
+
       plugin.beforeHook(context);
       plugin.configure(context);
-      plugin.beforeHook(context);
-      plugin.didDeploy(context);
-      assert.match(messageOutput, /Deployed but did not activate revision 123abc./);
-      assert.match(messageOutput, /To activate, run/);
-      assert.match(messageOutput, /ember deploy:activate qa --revision=123abc/);
+
+      return assert.isFulfilled(plugin.upload(context))
+        .then(function() {
+          assert.ok('/test-prefix/pins/evenbeforewegottoten' in hash);
+        });
     });
-  });
 
-  describe('fetchRevisions hook', function() {
-    it('fills the revisions letiable on context', function() {
-      let plugin;
-      let context;
+    it('uploads all files in one transaction when transactional is set', function() {
+      let uploadedRevision;
+      let trimmed = false;
 
       plugin = subject.createDeployPlugin({
         name: 'zookeeper'
@@ -520,44 +644,1175 @@ describe('ember-cli-deploy-zookeeper', function() {
         config: {
           zookeeper: {
             keyPrefix: 'test-prefix',
-            files: ['index.html'],
+            files: ['index.html', 'robots.txt'],
             distDir: 'tests/upload-files',
-            revisionKey: '123abc',
-            zookeeperDeployClient: function(context) {
+            revisionKey: 'evenbeforewegottoten',
+            transactional: true,
+            zookeeperDeployClient: function() {
               return {
-                fetchRevisions: function(keyPrefix, revisionKey) {
-                  return RSVP.resolve([{
-                    revision: 'a',
-                    active: false
-                  }]);
+                uploadRevision: function(keyPrefix, revisionKey, files, manifest) {
+                  assert.deepEqual(manifest.files.map(function(file) {
+                    return file.name;
+                  }), ['index.html', 'robots.txt']);
+                  uploadedRevision = [keyPrefix, revisionKey, files.map(function(file) {
+                    assert.equal(file.sha256, crypto.createHash('sha256').update(file.value).digest('hex'));
+                    return file.fileName;
+                  })];
+                  return RSVP.resolve(files.map(function(file) {
+                    return '/' + keyPrefix + '/' + revisionKey + '/' + file.fileName;
+                  }));
+                },
+                trimRecentUploads: function() {
+                  trimmed = true;
+                  return RSVP.resolve([{ revision: 'old', reasons: ['not among the 10 most recent uploads'] }]);
                 }
               };
             }
           }
         }
       };
+
       plugin.beforeHook(context);
       plugin.configure(context);
 
-      return assert.isFulfilled(plugin.fetchRevisions(context))
+      return assert.isFulfilled(plugin.upload(context))
         .then(function(result) {
-          assert.deepEqual(result, {
-            revisions: [{
-              "active": false,
-              "revision": "a"
-            }]
-          });
+          assert.deepEqual(uploadedRevision, ['test-prefix', 'evenbeforewegottoten', ['index.html', 'robots.txt']]);
+          assert.ok(trimmed);
+          assert.include(mockUi.messages, '- Removed revision `old`: not among the 10 most recent uploads');
+          assert.deepEqual(result, [
+            { zkKey: '/test-prefix/evenbeforewegottoten/index.html' },
+            { zkKey: '/test-prefix/evenbeforewegottoten/robots.txt' }
+          ]);
         });
     });
   });
 
-  it('reads file contents properly', function() {
-    let result = subject.createDeployPlugin({
-      name: 'test-plugin'
-    });
+  describe('activate hook', function() {
+    it('activates revision', function() {
+      let activateCalled = false;
+      let activatePath = '';
+      let activateRevision = '';
 
-    return result._readFileContents('./tests/upload-files/robots.txt').then(function(data) {
-      assert.match(data, /Robot bleep bloop\./);
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            files: ['index.html'],
+            distDir: 'tests/upload-files',
+            revisionKey: '123abc',
+            zookeeperDeployClient: function(context){
+              return {
+                activate: function(path, revision, options) {
+                  activateCalled = true;
+                  activatePath = path;
+                  activateRevision = revision;
+                  assert.equal(arguments.length, 3);
+                  assert.equal(options.expectedVersion, -1);
+                  assert.isUndefined(options.channel);
+                  assert.ok(options.info.hostname);
+                }
+              };
+            }
+          }
+        }
+      };
+
+      plugin.beforeHook(context);
+
+      return assert.isFulfilled(plugin.activate(context))
+        .then(function(result) {
+          assert.ok(activateCalled);
+          assert.equal(result.revisionData.activatedRevisionKey, '123abc');
+          assert.equal(activatePath, 'test-prefix');
+          assert.equal(activateRevision, '123abc');
+        });
+    });
+
+    it('reports the checksums verified before activating', function() {
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            files: ['index.html'],
+            distDir: 'tests/upload-files',
+            revisionKey: '123abc',
+            zookeeperDeployClient: function() {
+              return {
+                activate: function() {
+                  return RSVP.resolve({ revisionKey: '123abc', checksums: { 'index.html': 'abc' } });
+                }
+              };
+            }
+          }
+        }
+      };
+
+      plugin.beforeHook(context);
+
+      return assert.isFulfilled(plugin.activate(context))
+        .then(function(result) {
+          assert.deepEqual(result.revisionData.verifiedChecksums, { 'index.html': 'abc' });
+        });
+    });
+
+    it('guards activation with the version read in willActivate', function() {
+      let versions = [];
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        commandOptions: {},
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            revisionKey: '123abc',
+            zookeeperDeployClient: function() {
+              return {
+                activate: function(path, revision, options) {
+                  versions.push(options.expectedVersion);
+                }
+              };
+            }
+          }
+        },
+        revisionData: {
+          previousRevisionKey: 'abc123',
+          previousRevisionVersion: 4
+        }
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.activate(context))
+        .then(function() {
+          context.commandOptions.force = true;
+          return plugin.activate(context);
+        })
+        .then(function() {
+          assert.deepEqual(versions, [4, -1]);
+        });
+    });
+
+    it('rejects if an error is thrown when activating', function() {
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            files: ['index.html'],
+            distDir: 'tests/upload-files',
+            revisionKey: '123abc',
+            zookeeperDeployClient: function(context){
+              return {
+                activate: function() {
+                  return RSVP.reject('some-error');
+                }
+              };
+            }
+          }
+        }
+      };
+
+      plugin.beforeHook(context);
+      return assert.isRejected(plugin.activate(context))
+        .then(function(error) {
+          assert.equal(error, 'some-error');
+        });
+    });
+  });
+
+  describe('willActivate hook', function() {
+    it('returns the current active version', function() {
+      let plugin;
+      let context;
+
+      plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            files: ['index.html'],
+            distDir: 'tests/upload-files',
+            revisionKey: '123abc',
+            zookeeperDeployClient: function(context) {
+              return {
+                activeRevisionState: function() {
+                  return RSVP.resolve({ revision: 'active-revision', version: 3 });
+                }
+              };
+            }
+          }
+        }
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.willActivate(context))
+        .then(function(versionData) {
+          assert.deepEqual(versionData, {
+            revisionData: {
+              previousRevisionKey: 'active-revision',
+              previousRevisionVersion: 3
+            }
+          });
+        });
+    });
+  });
+
+  describe('channels', function() {
+    it('activates the revision on the channel given with --channel', function() {
+      let hash;
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        commandOptions: { revision: '2', channel: 'beta' },
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix'
+          }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            this._hash = hash = {
+              '/test-prefix': '1',
+              '/test-prefix/revisions/1': '1',
+              '/test-prefix/revisions/2': '2',
+              '/test-prefix/2/index.html': '<html></html>',
+              '/test-prefix/channels/beta': '1'
+            };
+            this._versions = { '/test-prefix/channels/beta': 4 };
+          }
+        })
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.willActivate(context))
+        .then(function(result) {
+          assert.deepEqual(result.revisionData, { previousRevisionKey: '1', previousRevisionVersion: 4 });
+          context.revisionData = result.revisionData;
+          return plugin.activate(context);
+        })
+        .then(function() {
+          assert.equal(hash['/test-prefix/channels/beta'], '2');
+          assert.equal(hash['/test-prefix'], '1');
+          assert.include(mockUi.messages, '- ✔ Activated revision `2` on channel `beta`');
+        });
+    });
+  });
+
+  describe('canary', function() {
+    it('starts a canary with --canary and promotes it with --canary=promote', function() {
+      let hash;
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+      let lib = FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      });
+
+      hash = {
+        '/test-prefix': '1',
+        '/test-prefix/revisions/1': '1',
+        '/test-prefix/revisions/2': '2',
+        '/test-prefix/2/index.html': '<html></html>'
+      };
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        commandOptions: { revision: '2', canary: '25' },
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix'
+          }
+        },
+        _zkLib: lib
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.activate(context))
+        .then(function(result) {
+          assert.deepEqual(result.revisionData.canary, { primary: '1', canary: '2', weight: 25 });
+          assert.equal(hash['/test-prefix'], '1');
+          assert.include(mockUi.messages, '- ✔ Routing 25% of traffic to canary `2`, `1` stays primary');
+
+          context.commandOptions.canary = 'promote';
+          return plugin.activate(context);
+        })
+        .then(function(result) {
+          assert.equal(result.revisionData.activatedRevisionKey, '2');
+          assert.equal(hash['/test-prefix'], '2');
+          assert.notOk('/test-prefix/routing' in hash);
+        });
+    });
+  });
+
+  describe('rollback', function() {
+    let hash;
+
+    function rollbackWith(commandOptions) {
+      hash = {
+        '/test-prefix': '2',
+        '/test-prefix/revisions/1': '1',
+        '/test-prefix/revisions/2': '2',
+        '/test-prefix/1/index.html': '<html></html>',
+        '/test-prefix/history': '',
+        '/test-prefix/history/activation-0000000000': JSON.stringify({ from: '1', to: '2', timestamp: 1 })
+      };
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        commandOptions: Object.assign({ revision: 'ignored', rollback: true }, commandOptions),
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix'
+          }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            this._hash = hash;
+            this._sequence = 1;
+          }
+        })
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return plugin.activate(context);
+    }
+
+    it('reactivates the previous revision with --rollback', function() {
+      return assert.isFulfilled(rollbackWith({ reason: 'checkout is broken' }))
+        .then(function(result) {
+          let entry = JSON.parse(hash['/test-prefix/history/activation-0000000001']);
+
+          assert.equal(result.revisionData.activatedRevisionKey, '1');
+          assert.equal(hash['/test-prefix'], '1');
+          assert.include(mockUi.messages, '- ✔ Rolled back to revision `1`');
+          assert.equal(entry.from, '2');
+          assert.equal(entry.to, '1');
+          assert.equal(entry.reason, 'checkout is broken');
+          assert.equal(entry.hostname, require('os').hostname());
+          assert.ok(entry.rollback);
+        });
+    });
+
+    it('records `rollback` as the reason without --reason', function() {
+      return assert.isFulfilled(rollbackWith({}))
+        .then(function() {
+          let entry = JSON.parse(hash['/test-prefix/history/activation-0000000001']);
+
+          assert.equal(entry.reason, 'rollback');
+        });
+    });
+  });
+
+  describe('willDeploy hook', function() {
+    it('prints a message for the validation of required zookeeper paths', function() {
+      let messageOutput = '';
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        deployTarget: 'qa',
+        ui: {
+          write: function(message) {
+            messageOutput = messageOutput + message;
+          },
+          writeLine: function(message){
+            messageOutput = messageOutput + message + '\n';
+          }
+        },
+        project: stubProject,
+        config: {
+          zookeeper: { }
+        },
+        _zkLib: FakeZookeeper
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+      return assert.isFulfilled(plugin.willDeploy(context))
+        .then(function() {
+          assert.match(messageOutput, /Validating presence of required paths for/);
+        });
+    });
+
+    it('warns about existing nodes whose ACL differs from the configured one', function() {
+      let messageOutput = '';
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        deployTarget: 'qa',
+        ui: {
+          write: function(message) {
+            messageOutput = messageOutput + message;
+          },
+          writeLine: function(message){
+            messageOutput = messageOutput + message + '\n';
+          }
+        },
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            zookeeperDeployClient: function() {
+              return {
+                willDeploy: function() {
+                  return RSVP.resolve();
+                },
+                findAclMismatches: function() {
+                  return RSVP.resolve([{
+                    path: '/test-prefix',
+                    expected: 'world:anyone:r',
+                    actual: 'world:anyone:crwda'
+                  }]);
+                }
+              };
+            }
+          }
+        }
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+      return assert.isFulfilled(plugin.willDeploy(context))
+        .then(function() {
+          assert.match(messageOutput, /ACL of `\/test-prefix` is `world:anyone:crwda` but `world:anyone:r` is configured/);
+        });
+    });
+  });
+
+  describe('deploy lock', function() {
+    let plugin, context, events;
+
+    beforeEach(function() {
+      events = [];
+      plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      context = {
+        ui: mockUi,
+        project: stubProject,
+        commandOptions: {},
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            revisionKey: '123abc',
+            lock: true,
+            lockTimeout: 500,
+            zookeeperDeployClient: function() {
+              return {
+                acquireLock: function(keyPrefix, owner, timeout) {
+                  events.push(['acquire', keyPrefix, owner.revision, owner.pid, timeout]);
+                  return RSVP.resolve({
+                    path: '/test-prefix/locks/lock-0000000001',
+                    release: function() {
+                      events.push(['release']);
+                    }
+                  });
+                },
+                willDeploy: function() {},
+                findAclMismatches: function() {
+                  return [];
+                },
+                activeRevisionState: function() {
+                  return RSVP.resolve({ revision: 'a', version: 1 });
+                }
+              };
+            }
+          }
+        }
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+    });
+
+    it('is taken in willDeploy and released in didDeploy', function() {
+      return assert.isFulfilled(plugin.willDeploy(context))
+        .then(function() {
+          return plugin.willActivate(context);
+        })
+        .then(function() {
+          return plugin.didActivate(context);
+        })
+        .then(function() {
+          assert.deepEqual(events, [['acquire', 'test-prefix', '123abc', process.pid, 500]]);
+          return plugin.didDeploy(context);
+        })
+        .then(function() {
+          assert.deepEqual(events[1], ['release']);
+        });
+    });
+
+    it('is taken in willActivate and released in didActivate when only activating', function() {
+      return assert.isFulfilled(plugin.willActivate(context))
+        .then(function() {
+          return plugin.didActivate(context);
+        })
+        .then(function() {
+          assert.deepEqual(events.map(function(event) {
+            return event[0];
+          }), ['acquire', 'release']);
+        });
+    });
+
+    it('is released in didFail', function() {
+      return assert.isFulfilled(plugin.willDeploy(context))
+        .then(function() {
+          return plugin.didFail(context);
+        })
+        .then(function() {
+          assert.deepEqual(events[1], ['release']);
+        });
+    });
+
+    it('is not taken unless enabled', function() {
+      context.config.zookeeper.lock = false;
+
+      return assert.isFulfilled(plugin.willDeploy(context))
+        .then(function() {
+          assert.deepEqual(events, []);
+        });
+    });
+  });
+
+  describe('setup and teardown hooks', function() {
+    it('share one session across the pipeline and close it at the end', function() {
+      let clients = [];
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            distDir: 'tests/upload-files',
+            revisionKey: '2'
+          }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            clients.push(this);
+          }
+        })
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      let zkDeployClient;
+      let promise = plugin.setup(context)
+        .then(function() {
+          zkDeployClient = plugin._deployClient();
+          assert.ok(zkDeployClient.isConnected());
+          return plugin.willDeploy(context);
+        })
+        .then(plugin.upload.bind(plugin, context))
+        .then(plugin.teardown.bind(plugin, context));
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.equal(clients.length, 1);
+          assert.notOk(clients[0].isConnected);
+          assert.equal(zkDeployClient.connectionState(), 'closed');
+          assert.include(mockUi.messages, '- Closed the ZooKeeper session');
+        });
+    });
+
+    it('reports a dropped connection and the end of the session', function() {
+      let clients = [];
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            distDir: 'tests/upload-files',
+            revisionKey: '2'
+          }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            clients.push(this);
+          }
+        })
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.setup(context))
+        .then(function() {
+          clients[0]._emit('disconnected');
+          clients[0]._emit('connected');
+          clients[0]._emit('expired');
+
+          assert.include(mockUi.messages, '- Lost the connection to ZooKeeper, reconnecting');
+          assert.include(mockUi.messages, '- Reconnected to ZooKeeper');
+          assert.include(mockUi.messages, '- The ZooKeeper session ended: The session has been expired by the server');
+          return plugin.teardown(context);
+        });
+    });
+
+    it('has nothing to close when no hook used ZooKeeper', function() {
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      return assert.isFulfilled(plugin.teardown({}));
+    });
+  });
+
+  describe('retries', function() {
+    it('logs every retried request', function() {
+      let failed = false;
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            distDir: 'tests/upload-files',
+            revisionKey: '1',
+            retry: { baseDelay: 0, jitter: 0 }
+          }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            this._hash = {
+              '/test-prefix': '',
+              '/test-prefix/revisions': ''
+            };
+          },
+          getChildren(path, cb) {
+            if (!failed) {
+              failed = true;
+              return cb(new ZKError(ZKError.ZCONNECTIONLOSS));
+            }
+
+            return this._super.apply(this, arguments);
+          }
+        })
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.fetchRevisions(context))
+        .then(function(result) {
+          assert.deepEqual(result, { revisions: [] });
+          assert.include(
+            mockUi.messages,
+            '- Retrying `getChildren` of `/test-prefix/revisions` in 0ms (attempt 2 of 3) after: ' +
+            'Connection to the server has been lost'
+          );
+        });
+    });
+  });
+
+  describe('error messages', function() {
+    function contextWith(config, overrides) {
+      return {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: Object.assign({
+            keyPrefix: 'test-prefix',
+            distDir: 'tests/upload-files'
+          }, config)
+        },
+        _zkLib: FakeZookeeper.extend(Object.assign({
+          init() {
+            this._super.apply(this, arguments);
+            this._hash = {
+              '/test-prefix': '',
+              '/test-prefix/revisions': ''
+            };
+          }
+        }, overrides))
+      };
+    }
+
+    it('say which request failed and what to do about it', function() {
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+      let context = contextWith({ revisionKey: 'nope' });
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isRejected(plugin.activate(context))
+        .then(function(error) {
+          assert.instanceOf(error, ZKError);
+          assert.include(
+            mockUi.messages,
+            '- `nope` is not a valid revision key (`activate` of `/test-prefix/revisions/nope`). ' +
+            '`ember deploy:list` shows the revisions uploaded under `test-prefix`'
+          );
+        });
+    });
+
+    it('point at the `auth` option when the ACL refuses a request', function() {
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+      let context = contextWith({ revisionKey: '1' }, {
+        getChildren(path, cb) {
+          cb(new ZKError(ZKError.ZNOAUTH));
+        }
+      });
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isRejected(plugin.fetchRevisions(context))
+        .then(function(error) {
+          assert.equal(error.code, ZKError.ZNOAUTH);
+          assert.isFalse(error.retryable);
+          assert.include(
+            mockUi.messages,
+            '- Not authenticated (`getChildren` of `/test-prefix/revisions`). ' +
+            'The node\'s ACL does not allow this for the identities in the `auth` option'
+          );
+        });
+    });
+  });
+
+  describe('didFail hook', function() {
+    it('removes the nodes a failed upload created and leaves the others alone', function() {
+      let hash = {
+        '/test-prefix': '1',
+        '/test-prefix/revisions': '',
+        '/test-prefix/revisions/1': '1',
+        '/test-prefix/2': '',
+        '/test-prefix/2/robots.txt': 'left from an earlier attempt'
+      };
+      let before = Object.assign({}, hash);
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            files: ['index.html', 'assets/config.json', 'robots.txt'],
+            distDir: 'tests/upload-files',
+            revisionKey: '2'
+          }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            this._hash = hash;
+          }
+        })
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isRejected(plugin.upload(context), /Value already exists for key: \/test-prefix\/2\/robots.txt/)
+        .then(function() {
+          assert.ok('/test-prefix/2/assets/config.json' in hash);
+          return plugin.didFail(context);
+        })
+        .then(function() {
+          assert.deepEqual(hash, before);
+          assert.include(mockUi.messages, '- Removed `/test-prefix/2/assets/config.json/sha256`');
+          assert.include(
+            mockUi.messages,
+            '- Cleaned up the failed upload of revision `2`: removed 5 of 5 node(s) it created'
+          );
+        });
+    });
+
+    it('cleans up before releasing the deploy lock', function() {
+      let events = [];
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            revisionKey: '2',
+            distDir: 'tests/upload-files',
+            lock: true,
+            zookeeperDeployClient: function() {
+              return {
+                acquireLock: function() {
+                  return RSVP.resolve({
+                    path: '/test-prefix/locks/lock-0000000001',
+                    release: function() {
+                      events.push('release');
+                    }
+                  });
+                },
+                willDeploy: function() {},
+                findAclMismatches: function() {
+                  return [];
+                },
+                upload: function() {
+                  return RSVP.reject(new Error('Connection lost'));
+                },
+                createdNodes: function(keyPrefix, revisionKey) {
+                  return ['/' + keyPrefix + '/' + revisionKey];
+                },
+                removeNodes: function(paths) {
+                  events.push('remove ' + paths.join());
+                  return RSVP.resolve({ removed: [], kept: [{ path: paths[0], error: new Error('The node has children') }] });
+                }
+              };
+            }
+          }
+        }
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.willDeploy(context))
+        .then(function() {
+          return assert.isRejected(plugin.upload(context), /Connection lost/);
+        })
+        .then(function() {
+          return plugin.didFail(context);
+        })
+        .then(function() {
+          assert.deepEqual(events, ['remove /test-prefix/2', 'release']);
+          assert.include(mockUi.messages, '- Could not remove `/test-prefix/2`: The node has children');
+        });
+    });
+
+    it('leaves revisions alone when the upload succeeded', function() {
+      let hash = {};
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            distDir: 'tests/upload-files',
+            revisionKey: '2'
+          }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            this._hash = hash;
+          }
+        })
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.upload(context))
+        .then(function() {
+          return plugin.didFail(context);
+        })
+        .then(function() {
+          assert.ok('/test-prefix/2/index.html' in hash);
+          assert.ok('/test-prefix/revisions/2' in hash);
+        });
+    });
+  });
+
+  describe('dry run', function() {
+    it('logs the plan of a whole deploy without writing anything', function() {
+      let hash = {
+        '/test-prefix': '1',
+        '/test-prefix/revisions': '',
+        '/test-prefix/revisions/1': '1',
+        '/test-prefix/1': '',
+        '/test-prefix/1/index.html': '<html></html>'
+      };
+      let before = Object.assign({}, hash);
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        commandOptions: { dryRun: true },
+        revisionData: { revisionKey: '2' },
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            distDir: 'tests/upload-files',
+            lock: true
+          }
+        },
+        _zkLib: FakeZookeeper.extend({
+          init() {
+            this._super.apply(this, arguments);
+            this._hash = hash;
+          }
+        })
+      };
+
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      let promise = plugin.willDeploy(context)
+        .then(plugin.upload.bind(plugin, context))
+        .then(plugin.willActivate.bind(plugin, context))
+        .then(function(result) {
+          context.revisionData = Object.assign({}, context.revisionData, result.revisionData);
+          return plugin.activate(context);
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          let size = fs.readFileSync('tests/upload-files/index.html').length;
+
+          assert.deepEqual(hash, before);
+          assert.include(mockUi.messages, '- Dry run of `willDeploy`, nothing was written and nothing would be');
+          assert.include(mockUi.messages, '- Dry run of `upload`, nothing was written, it would:');
+          assert.include(mockUi.messages, '-   create `/test-prefix/2/index.html` (' + size + ' bytes)');
+          assert.include(mockUi.messages, '-   create `/test-prefix/2/index.html/sha256` (64 bytes)');
+          assert.include(mockUi.messages, '-   set `/test-prefix` (1 bytes)');
+          assert.notOk(mockUi.messages.some(function(message) {
+            return /deploy lock/.test(message);
+          }));
+        });
+    });
+  });
+
+  describe('didDeploy hook', function() {
+    it('prints default message about lack of activation when revision has not been activated', function() {
+      let messageOutput = '';
+
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+      plugin.upload = function(){};
+      plugin.activate = function(){};
+
+      let context = {
+        deployTarget: 'qa',
+        ui: {
+          write: function(message){
+            messageOutput = messageOutput + message;
+          },
+          writeLine: function(message){
+            messageOutput = messageOutput + message + '\n';
+          }
+        },
+        project: stubProject,
+        config: {
+          zookeeper: { }
+        },
+        revisionData: {
+          revisionKey: '123abc',
+        }
+      };
+      plugin.beforeHook(context);
+      plugin.configure(context);
+      plugin.beforeHook(context);
+      plugin.didDeploy(context);
+      assert.match(messageOutput, /Deployed but did not activate revision 123abc./);
+      assert.match(messageOutput, /To activate, run/);
+      assert.match(messageOutput, /ember deploy:activate qa --revision=123abc/);
+    });
+  });
+
+  describe('fetchRevisions hook', function() {
+    it('fills the revisions letiable on context', function() {
+      let plugin;
+      let context;
+
+      plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      context = {
+        ui: mockUi,
+        project: stubProject,
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            files: ['index.html'],
+            distDir: 'tests/upload-files',
+            revisionKey: '123abc',
+            zookeeperDeployClient: function(context) {
+              return {
+                fetchRevisions: function(keyPrefix, revisionKey) {
+                  return RSVP.resolve([{
+                    revision: 'a',
+                    active: false
+                  }]);
+                }
+              };
+            }
+          }
+        }
+      };
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.fetchRevisions(context))
+        .then(function(result) {
+          assert.deepEqual(result, {
+            revisions: [{
+              "active": false,
+              "revision": "a"
+            }]
+          });
+        });
+    });
+
+    it('applies --pin and --unpin before listing', function() {
+      let calls = [];
+      let plugin = subject.createDeployPlugin({
+        name: 'zookeeper'
+      });
+
+      let context = {
+        ui: mockUi,
+        project: stubProject,
+        commandOptions: { pin: 'a', unpin: 'b' },
+        config: {
+          zookeeper: {
+            keyPrefix: 'test-prefix',
+            files: ['index.html'],
+            distDir: 'tests/upload-files',
+            zookeeperDeployClient: function() {
+              return {
+                pin: function(keyPrefix, revisionKey, owner) {
+                  calls.push(['pin', keyPrefix, revisionKey]);
+                  assert.ok(owner.hostname);
+                  return RSVP.resolve();
+                },
+                unpin: function(keyPrefix, revisionKey) {
+                  calls.push(['unpin', keyPrefix, revisionKey]);
+                  return RSVP.resolve();
+                },
+                fetchRevisions: function() {
+                  calls.push(['fetchRevisions']);
+                  return RSVP.resolve([
+                    { revision: 'a', active: false, pinned: true },
+                    { revision: 'b', active: true, pinned: false }
+                  ]);
+                }
+              };
+            }
+          }
+        }
+      };
+      plugin.beforeHook(context);
+      plugin.configure(context);
+
+      return assert.isFulfilled(plugin.fetchRevisions(context))
+        .then(function(result) {
+          assert.deepEqual(calls, [
+            ['unpin', 'test-prefix', 'b'],
+            ['pin', 'test-prefix', 'a'],
+            ['fetchRevisions']
+          ]);
+          assert.ok(result.revisions[0].pinned);
+          assert.include(mockUi.messages, '- Pinned revision `a`');
+          assert.include(mockUi.messages, '- Unpinned revision `b`');
+        });
+    });
+  });
+
+  it('reads file contents properly', function() {
+    let result = subject.createDeployPlugin({
+      name: 'test-plugin'
+    });
+
+    return result._readFileContents('./tests/upload-files/robots.txt').then(function(data) {
+      assert.match(data, /Robot bleep bloop\./);
+    });
+  });
+
+  it('reads file contents as raw bytes', function() {
+    let result = subject.createDeployPlugin({
+      name: 'test-plugin'
+    });
+
+    return result._readFileContents('./tests/upload-files/favicon.ico').then(function(data) {
+      assert.ok(Buffer.isBuffer(data));
+      assert.ok(data.equals(fs.readFileSync('./tests/upload-files/favicon.ico')));
     });
   });
 });
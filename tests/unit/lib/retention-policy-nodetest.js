@@ -0,0 +1,147 @@
+'use strict';
+const retentionPolicy = require('../../../lib/retention-policy');
+const assert  = require('../../helpers/assert');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 100 * DAY;
+
+function revision(name, ageInDays, extra) {
+  return Object.assign({ revision: name, active: false, timestamp: NOW - ageInDays * DAY }, extra);
+}
+
+function removedNames(result) {
+  return result.removed.map(function(removal) {
+    return removal.revision;
+  });
+}
+
+describe('retention policy', function() {
+  describe('#parse', function() {
+    it('keeps the 10 most recent uploads by default', function() {
+      assert.deepEqual(retentionPolicy.parse(undefined), { keep: 10 });
+    });
+
+    it('treats a number as the number of uploads to keep', function() {
+      assert.deepEqual(retentionPolicy.parse(5), { keep: 5 });
+    });
+
+    it('parses durations', function() {
+      assert.deepEqual(retentionPolicy.parse({ maxAge: '14d', keepActivated: 3 }), {
+        maxAge: 14 * DAY,
+        keepActivated: 3
+      });
+      assert.equal(retentionPolicy.parse({ maxAge: '12h' }).maxAge, 12 * 60 * 60 * 1000);
+      assert.equal(retentionPolicy.parse({ maxAge: 5000 }).maxAge, 5000);
+    });
+
+    it('rejects unknown rules and malformed values', function() {
+      assert.throws(function() {
+        retentionPolicy.parse({ keepLast: 3 });
+      }, /Unknown retention rule `keepLast`/);
+      assert.throws(function() {
+        retentionPolicy.parse({ maxAge: 'two weeks' });
+      }, /must be milliseconds or a duration such as `14d`/);
+      assert.throws(function() {
+        retentionPolicy.parse({ keep: -1 });
+      }, /must be a whole number/);
+      assert.throws(function() {
+        retentionPolicy.parse({});
+      }, /needs at least one of/);
+    });
+  });
+
+  describe('#apply', function() {
+    it('keeps the newest uploads besides the active revision', function() {
+      let revisions = [
+        revision('1', 4, { active: true }),
+        revision('2', 3),
+        revision('3', 2),
+        revision('4', 1)
+      ];
+
+      let result = retentionPolicy.apply({ keep: 2 }, revisions, NOW);
+      assert.deepEqual(result.removed, [{ revision: '2', reasons: ['not among the 2 most recent uploads'] }]);
+      assert.sameMembers(result.kept.map(function(kept) {
+        return kept.revision;
+      }), ['1', '3', '4']);
+    });
+
+    it('removes revisions older than maxAge', function() {
+      let revisions = [revision('1', 20), revision('2', 10), revision('3', 1)];
+
+      let result = retentionPolicy.apply({ maxAge: 14 * DAY }, revisions, NOW);
+      assert.deepEqual(result.removed, [{ revision: '1', reasons: ['older than 2w'] }]);
+    });
+
+    it('keeps the most recently activated revisions', function() {
+      let revisions = [
+        revision('1', 5, { activatedAt: NOW - 4 * DAY }),
+        revision('2', 4, { activatedAt: NOW - 3 * DAY }),
+        revision('3', 3),
+        revision('4', 2, { active: true, activatedAt: NOW - DAY })
+      ];
+
+      let result = retentionPolicy.apply({ keepActivated: 2 }, revisions, NOW);
+      assert.deepEqual(removedNames(result), ['1', '3']);
+    });
+
+    it('never removes pinned revisions', function() {
+      let revisions = [
+        revision('1', 30, { pinned: true }),
+        revision('2', 20),
+        revision('3', 1)
+      ];
+
+      let result = retentionPolicy.apply({ keep: 0 }, revisions, NOW);
+      assert.deepEqual(removedNames(result), ['2', '3']);
+    });
+
+    it('never removes revisions live on a channel', function() {
+      let revisions = [
+        revision('1', 30, { channels: ['beta'] }),
+        revision('2', 20, { channels: [] })
+      ];
+
+      let result = retentionPolicy.apply({ keep: 0 }, revisions, NOW);
+      assert.deepEqual(removedNames(result), ['2']);
+    });
+
+    it('never removes a running canary', function() {
+      let revisions = [revision('1', 30, { canary: true }), revision('2', 20)];
+
+      let result = retentionPolicy.apply({ keep: 0 }, revisions, NOW);
+      assert.deepEqual(removedNames(result), ['2']);
+    });
+
+    it('never removes the revision just uploaded', function() {
+      let revisions = [
+        revision('1', 30, { active: true, activatedAt: NOW - 20 * DAY }),
+        revision('2', 10),
+        revision('3', 0)
+      ];
+
+      let result = retentionPolicy.apply(retentionPolicy.parse({ keepActivated: 3 }), revisions, NOW, '3');
+      assert.deepEqual(removedNames(result), ['2']);
+
+      result = retentionPolicy.apply(retentionPolicy.parse(0), revisions, NOW, '3');
+      assert.deepEqual(removedNames(result), ['2']);
+    });
+
+    it('only removes revisions that no rule keeps', function() {
+      let revisions = [
+        revision('1', 30, { activatedAt: NOW - 20 * DAY }),
+        revision('2', 25),
+        revision('3', 10),
+        revision('4', 5),
+        revision('5', 1)
+      ];
+
+      let policy = retentionPolicy.parse({ keep: 1, maxAge: '14d', keepActivated: 1 });
+      let result = retentionPolicy.apply(policy, revisions, NOW);
+      assert.deepEqual(result.removed, [{
+        revision: '2',
+        reasons: ['not among the 1 most recent uploads', 'older than 2w', 'not among the 1 most recently activated']
+      }]);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+'use strict';
+const retryPolicy = require('../../../lib/retry-policy');
+const ZKError = require('../../../lib/zookeeper-error');
+const assert  = require('../../helpers/assert');
+
+describe('retry policy', function() {
+  describe('#parse', function() {
+    it('retries connection loss and timeouts three times by default', function() {
+      assert.deepEqual(retryPolicy.parse(undefined), retryPolicy.DEFAULT_POLICY);
+      assert.deepEqual(retryPolicy.parse(undefined).retryOn, [ZKError.ZCONNECTIONLOSS, ZKError.ZOPERATIONTIMEOUT]);
+    });
+
+    it('turns retrying off for `false`', function() {
+      assert.equal(retryPolicy.parse(false).maxAttempts, 1);
+    });
+
+    it('overrides the defaults and takes error names', function() {
+      let policy = retryPolicy.parse({ maxAttempts: 5, retryOn: ['ZSESSIONMOVED', ZKError.ZCONNECTIONLOSS] });
+
+      assert.equal(policy.maxAttempts, 5);
+      assert.equal(policy.baseDelay, 100);
+      assert.deepEqual(policy.retryOn, [ZKError.ZSESSIONMOVED, ZKError.ZCONNECTIONLOSS]);
+    });
+
+    it('rejects unknown options and malformed values', function() {
+      assert.throws(function() {
+        retryPolicy.parse({ attempts: 3 });
+      }, /Unknown retry option `attempts`/);
+      assert.throws(function() {
+        retryPolicy.parse({ maxAttempts: 0 });
+      }, /must be a whole number of at least 1/);
+      assert.throws(function() {
+        retryPolicy.parse({ baseDelay: '1s' });
+      }, /`baseDelay` retry option must be milliseconds/);
+      assert.throws(function() {
+        retryPolicy.parse({ jitter: 2 });
+      }, /must be between 0 and 1/);
+      assert.throws(function() {
+        retryPolicy.parse({ retryOn: ['ZLOSTIT'] });
+      }, /Unknown ZooKeeper error `ZLOSTIT`/);
+      assert.throws(function() {
+        retryPolicy.parse(3);
+      }, /must be `false` or an object/);
+    });
+  });
+
+  describe('#delay', function() {
+    it('doubles the base delay for every attempt up to the maximum', function() {
+      let policy = retryPolicy.parse({ baseDelay: 100, maxDelay: 300, jitter: 0 });
+
+      assert.equal(retryPolicy.delay(policy, 1), 100);
+      assert.equal(retryPolicy.delay(policy, 2), 200);
+      assert.equal(retryPolicy.delay(policy, 3), 300);
+    });
+
+    it('spreads the delay by the jitter either way', function() {
+      let policy = retryPolicy.parse({ baseDelay: 100, jitter: 0.2 });
+
+      assert.equal(retryPolicy.delay(policy, 1, 0), 80);
+      assert.equal(retryPolicy.delay(policy, 1, 1), 120);
+    });
+  });
+
+  describe('#isRetryable', function() {
+    it('matches the error code against `retryOn`', function() {
+      let policy = retryPolicy.parse();
+
+      assert.isTrue(retryPolicy.isRetryable(policy, new ZKError(ZKError.ZCONNECTIONLOSS)));
+      assert.isTrue(retryPolicy.isRetryable(policy, new ZKError(ZKError.ZOPERATIONTIMEOUT)));
+      assert.isFalse(retryPolicy.isRetryable(policy, new ZKError(ZKError.ZNONODE)));
+      assert.isFalse(retryPolicy.isRetryable(policy, new Error('boom')));
+    });
+  });
+});
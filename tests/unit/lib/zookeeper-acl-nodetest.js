@@ -0,0 +1,97 @@
+'use strict';
+const zkClient = require('node-zookeeper-client');
+const zkAcl = require('../../../lib/zookeeper-acl');
+const assert  = require('../../helpers/assert');
+
+const ACL = zkClient.ACL;
+const Id = zkClient.Id;
+const Permission = zkClient.Permission;
+
+describe('zookeeper acl', function() {
+  describe('#parse', function() {
+    it('returns null when nothing is configured', function() {
+      assert.isNull(zkAcl.parse(undefined));
+    });
+
+    it('resolves presets', function() {
+      assert.equal(zkAcl.describe(zkAcl.parse('open')), 'world:anyone:crwda');
+      assert.equal(zkAcl.describe(zkAcl.parse('world-read/digest-write')), 'world:anyone:r, auth::crwda');
+    });
+
+    it('rejects unknown presets', function() {
+      assert.throws(function() {
+        zkAcl.parse('everyone');
+      }, /Unknown ACL preset `everyone`/);
+    });
+
+    it('builds explicit ACL lists', function() {
+      let acls = zkAcl.parse([
+        { scheme: 'world', id: 'anyone', permissions: 'r' },
+        { scheme: 'digest', id: 'deployer:abc=', permissions: 'crwd' },
+        { scheme: 'ip', id: '10.0.0.1', permissions: Permission.ALL }
+      ]);
+
+      assert.ok(acls.every(function(acl) {
+        return acl instanceof ACL;
+      }));
+      assert.equal(zkAcl.describe(acls), 'world:anyone:r, digest:deployer:abc=:crwd, ip:10.0.0.1:crwda');
+    });
+
+    it('rejects unknown permission letters', function() {
+      assert.throws(function() {
+        zkAcl.parse([{ scheme: 'world', id: 'anyone', permissions: 'rx' }]);
+      }, /Unknown ACL permission `x`/);
+    });
+  });
+
+  describe('#matches', function() {
+    it('matches identical lists regardless of order', function() {
+      let expected = zkAcl.parse([
+        { scheme: 'world', id: 'anyone', permissions: 'r' },
+        { scheme: 'digest', id: 'deployer:abc=', permissions: 'crwda' }
+      ]);
+      let actual = [expected[1], expected[0]];
+
+      assert.ok(zkAcl.matches(expected, actual));
+    });
+
+    it('does not match when entries differ', function() {
+      assert.notOk(zkAcl.matches(zkAcl.parse('world-read/digest-write'), ACL.OPEN_ACL_UNSAFE));
+    });
+
+    it('matches auth entries against the identities the server stored', function() {
+      let actual = [
+        new ACL(Permission.READ, Id.ANYONE_ID_UNSAFE),
+        new ACL(Permission.ALL, new Id('digest', 'deployer:abc='))
+      ];
+
+      assert.ok(zkAcl.matches(zkAcl.parse('world-read/digest-write'), actual));
+    });
+  });
+
+  describe('#allows', function() {
+    let auth = [{ scheme: 'digest', credentials: 'deployer:secret' }];
+
+    it('derives digest ids the way the server does', function() {
+      assert.equal(zkAcl.digestId('deployer:secret'), 'deployer:iuIgXRnHEhynFJBU9JUWTmWEwAM=');
+    });
+
+    it('allows what world or the authenticated digest may do', function() {
+      let acls = zkAcl.parse([
+        { scheme: 'world', id: 'anyone', permissions: 'r' },
+        { scheme: 'digest', id: 'deployer:iuIgXRnHEhynFJBU9JUWTmWEwAM=', permissions: 'cw' }
+      ]);
+
+      assert.isTrue(zkAcl.allows(acls, Permission.READ, []));
+      assert.isTrue(zkAcl.allows(acls, Permission.CREATE, auth));
+      assert.isFalse(zkAcl.allows(acls, Permission.CREATE, []));
+      assert.isFalse(zkAcl.allows(acls, Permission.DELETE, auth));
+    });
+
+    it('cannot tell for schemes it does not know the session identity for', function() {
+      let acls = zkAcl.parse([{ scheme: 'ip', id: '10.0.0.1', permissions: 'crwda' }]);
+
+      assert.isNull(zkAcl.allows(acls, Permission.WRITE, auth));
+    });
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+const zlib = require('zlib');
+const crypto = require('crypto');
+const RSVP = require('rsvp');
+const Buffer = require('buffer').Buffer;
+const zkEnvelope = require('../../../lib/zookeeper-envelope');
+const assert  = require('../../helpers/assert');
+
+describe('zookeeper envelope', function() {
+  let content = Buffer.from('<html><style>body { color: red; }</style></html>', 'utf8');
+
+  function unpackData(packed) {
+    return zkEnvelope.unpack(packed.data);
+  }
+
+  it('leaves content alone without compression', function() {
+    return assert.isFulfilled(zkEnvelope.pack(content, {}))
+      .then(function(packed) {
+        assert.ok(packed.data.equals(content));
+        assert.deepEqual(packed.chunks, []);
+        assert.isNull(zkEnvelope.decode(packed.data));
+      });
+  });
+
+  it('records the codec in the header of compressed content', function() {
+    return assert.isFulfilled(zkEnvelope.pack(content, { compression: 'gzip' }))
+      .then(function(packed) {
+        let envelope = zkEnvelope.decode(packed.data);
+        assert.deepEqual(envelope.header, { compression: 'gzip' });
+        assert.ok(zlib.gunzipSync(envelope.payload).equals(content));
+      });
+  });
+
+  it('round trips gzip content', function() {
+    return assert.isFulfilled(zkEnvelope.pack(content, { compression: 'gzip' }).then(unpackData))
+      .then(function(unpacked) {
+        assert.ok(unpacked.equals(content));
+      });
+  });
+
+  if (typeof zlib.brotliCompress === 'function') {
+    it('round trips brotli content', function() {
+      return assert.isFulfilled(zkEnvelope.pack(content, { compression: 'brotli' }).then(unpackData))
+        .then(function(unpacked) {
+          assert.ok(unpacked.equals(content));
+        });
+    });
+  }
+
+  it('unpacks plain files as they are', function() {
+    return assert.isFulfilled(zkEnvelope.unpack(content))
+      .then(function(unpacked) {
+        assert.ok(unpacked.equals(content));
+      });
+  });
+
+  describe('chunking', function() {
+    it('splits content larger than maxNodeSize into chunks', function() {
+      return assert.isFulfilled(zkEnvelope.pack(content, { maxNodeSize: 20 }))
+        .then(function(packed) {
+          let envelope = zkEnvelope.decode(packed.data);
+          assert.equal(envelope.header.chunks, 3);
+          assert.equal(envelope.header.size, content.length);
+          assert.equal(envelope.header.sha256, crypto.createHash('sha256').update(content).digest('hex'));
+          assert.equal(envelope.payload.length, 0);
+          assert.ok(Buffer.concat(packed.chunks).equals(content));
+          assert.ok(packed.chunks.every(function(chunk) {
+            return chunk.length <= 20;
+          }));
+        });
+    });
+
+    it('reassembles chunked content', function() {
+      let promise = zkEnvelope.pack(content, { maxNodeSize: 20, compression: 'gzip' }).then(function(packed) {
+        return zkEnvelope.unpack(packed.data, function(count) {
+          assert.equal(count, packed.chunks.length);
+          return RSVP.resolve(packed.chunks);
+        });
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(unpacked) {
+          assert.ok(unpacked.equals(content));
+        });
+    });
+
+    it('rejects chunks that do not match the header', function() {
+      let promise = zkEnvelope.pack(content, { maxNodeSize: 20 }).then(function(packed) {
+        return zkEnvelope.unpack(packed.data, function() {
+          return RSVP.resolve(packed.chunks.slice(0, 2));
+        });
+      });
+
+      return assert.isRejected(promise, /Chunked content is corrupt/);
+    });
+
+    it('names chunks so they sort in order', function() {
+      assert.equal(zkEnvelope.chunkName(0), 'chunk-0000000000');
+      assert.equal(zkEnvelope.chunkName(12), 'chunk-0000000012');
+    });
+  });
+
+  it('rejects unsupported codecs', function() {
+    assert.throws(function() {
+      zkEnvelope.validateCompression('lzma');
+    }, /Unsupported compression `lzma`/);
+  });
+});
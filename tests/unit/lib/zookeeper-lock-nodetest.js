@@ -0,0 +1,101 @@
+'use strict';
+const FakeZookeeper = require('../../helpers/fake-zk-client');
+const Zookeeper = require('../../../lib/zookeeper');
+const assert  = require('../../helpers/assert');
+
+describe('zookeeper lock', function() {
+  let hash, watchers;
+
+  // Separate clients play separate CI jobs sharing one ensemble.
+  function makeSession(sequenceStart) {
+    return new Zookeeper({}, FakeZookeeper.extend({
+      init() {
+        this._super.apply(this, arguments);
+        this._hash = hash;
+        this._watchers = watchers;
+        this._sequence = sequenceStart;
+      }
+    }));
+  }
+
+  let owner = { hostname: 'ci-1', user: 'deployer', pid: 42, revision: 'abc' };
+
+  beforeEach(function() {
+    hash = {};
+    watchers = {};
+  });
+
+  it('acquires the lock when nobody else holds it', function() {
+    let zk = makeSession(0);
+
+    return assert.isFulfilled(zk.acquireLock('key', owner, 1000))
+      .then(function(lock) {
+        assert.equal(lock.path, '/key/locks/lock-0000000000');
+        assert.deepEqual(JSON.parse(hash['/key/locks/lock-0000000000']), owner);
+        return lock.release();
+      })
+      .then(function() {
+        assert.notOk('/key/locks/lock-0000000000' in hash);
+      });
+  });
+
+  it('waits for the current holder to release the lock', function() {
+    let first = makeSession(0);
+    let second = makeSession(100);
+    let events = [];
+
+    return first.acquireLock('key', owner, 1000).then(function(firstLock) {
+      let waiting = second.acquireLock('key', { hostname: 'ci-2' }, 1000).then(function(secondLock) {
+        events.push('second acquired');
+        return secondLock;
+      });
+
+      setTimeout(function() {
+        events.push('first released');
+        firstLock.release();
+      }, 20);
+
+      return waiting;
+    }).then(function(secondLock) {
+      assert.deepEqual(events, ['first released', 'second acquired']);
+      assert.equal(secondLock.path, '/key/locks/lock-0000000100');
+    });
+  });
+
+  it('reports who holds the lock when waiting times out', function() {
+    let first = makeSession(0);
+    let second = makeSession(100);
+
+    let promise = first.acquireLock('key', owner, 1000).then(function() {
+      return second.acquireLock('key', { hostname: 'ci-2' }, 20);
+    });
+
+    return assert.isRejected(promise)
+      .then(function(error) {
+        assert.match(error.message, /Timed out waiting for the deploy lock on `\/key\/locks`/);
+        assert.match(error.message, /held by deployer@ci-1 \(pid 42\) deploying revision `abc`/);
+        assert.deepEqual(error.owner, owner);
+        assert.deepEqual(Object.keys(hash).filter(function(key) {
+          return key.indexOf('/key/locks/') === 0;
+        }), ['/key/locks/lock-0000000000']);
+      });
+  });
+
+  it('is released when the holding session goes away', function() {
+    let first = makeSession(0);
+    let second = makeSession(100);
+
+    let promise = first.acquireLock('key', owner, 1000).then(function() {
+      setTimeout(function() {
+        first._client.client.close();
+      }, 20);
+
+      return second.acquireLock('key', { hostname: 'ci-2' }, 1000);
+    });
+
+    return assert.isFulfilled(promise)
+      .then(function(lock) {
+        assert.equal(lock.path, '/key/locks/lock-0000000100');
+      });
+  });
+});
@@ -1,6 +1,9 @@
 'use strict';
+let RSVP = require('rsvp');
 let FakeZookeeper = require('../../helpers/fake-zk-client');
 let ZKError = require('../../../lib/zookeeper-error');
+let zkAcl = require('../../../lib/zookeeper-acl');
+let zkEnvelope = require('../../../lib/zookeeper-envelope');
 let assert  = require('../../helpers/assert');
 
 describe('zookeeper plugin', function() {
@@ -50,7 +53,10 @@ describe('zookeeper plugin', function() {
 
       return assert.isRejected(zk.testCreatingNodeTwice('/key'))
         .then(function(err) {
-          assert.equal(err.toString(), 'The node already exists');
+          assert.equal(err.code, ZKError.ZNODEEXISTS);
+          assert.equal(err.message, 'The node already exists');
+          assert.equal(err.path, '/key');
+          assert.equal(err.operation, 'create');
         });
     });
 
@@ -199,6 +205,73 @@ describe('zookeeper plugin', function() {
         });
     });
 
+    it('trims according to the configured retention policy and reports why', function() {
+      let now = new Date().getTime();
+      let day = 24 * 60 * 60 * 1000;
+      let hash = {
+        '/key': '3',
+        '/key/1/index.html': 'old',
+        '/key/revisions/1': String(now - 30 * day),
+        '/key/revisions/2': JSON.stringify({ timestamp: now - 20 * day, activatedAt: now - 10 * day }),
+        '/key/revisions/3': String(now - 15 * day),
+        '/key/revisions/4': String(now - day)
+      };
+
+      let zk = new Zookeeper({ retention: { maxAge: '14d', keepActivated: 2 } }, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.upload('key', '5', 'index.html', 'value').then(function() {
+        return zk.trimRecentUploads('key', '5');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(removed) {
+          assert.deepEqual(removed, [{
+            revision: '1',
+            reasons: ['older than 2w', 'not among the 2 most recently activated']
+          }]);
+          assert.notOk('/key/revisions/1' in hash);
+          assert.notOk('/key/1/index.html' in hash);
+          assert.ok('/key/revisions/2' in hash);
+          assert.ok('/key/revisions/3' in hash);
+        });
+    });
+
+    it('keeps the revision just uploaded under a `keepActivated` policy', function() {
+      let hash = {
+        '/key': '1',
+        '/key/1/index.html': 'active',
+        '/key/revisions/1': JSON.stringify({ timestamp: 1, activatedAt: 2 }),
+        '/key/2/index.html': 'never activated',
+        '/key/revisions/2': '3'
+      };
+
+      let zk = new Zookeeper({ retention: { keepActivated: 3 } }, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.upload('key', '3', 'index.html', 'value').then(function() {
+        return zk.trimRecentUploads('key', '3');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(removed) {
+          assert.deepEqual(removed.map(function(removal) {
+            return removal.revision;
+          }), ['2']);
+          assert.ok('/key/revisions/3' in hash);
+          assert.ok('/key/3/index.html' in hash);
+          return assert.isFulfilled(zk.activate('key', '3'));
+        });
+    });
+
     describe('generating the zookeeper path', function() {
       it('will use default as the revision if the revision/tag is not provided', function() {
         const hash = {};
@@ -241,6 +314,24 @@ describe('zookeeper plugin', function() {
     });
   });
 
+  describe('connection', function() {
+    it('reports the state of the session it opened', function() {
+      let zk = new Zookeeper({}, FakeZookeeper);
+      assert.equal(zk.connectionState(), 'disconnected');
+      assert.notOk(zk.isConnected());
+
+      return assert.isFulfilled(zk.connect())
+        .then(function() {
+          assert.ok(zk.isConnected());
+          return zk.close();
+        })
+        .then(function() {
+          assert.equal(zk.connectionState(), 'closed');
+          assert.notOk(zk.isConnected());
+        });
+    });
+  });
+
   describe('#willDeploy', function() {
     it('creates the required missing paths before deploy', function() {
       let hash = {};
@@ -285,6 +376,273 @@ describe('zookeeper plugin', function() {
     });
   });
 
+  describe('compression', function() {
+    it('compresses files before writing them and decompresses them on read', function() {
+      let hash = {};
+      let zk = new Zookeeper({
+        compression: 'gzip'
+      }, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.upload('key', '1', 'index.html', '<html></html>').then(function() {
+        return zk.readFile('key', '1', 'index.html');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(content) {
+          assert.deepEqual(zkEnvelope.decode(hash['/key/1/index.html']).header, { compression: 'gzip' });
+          assert.equal(content.toString('utf8'), '<html></html>');
+        });
+    });
+
+    it('compresses files uploaded in a transaction', function() {
+      let hash = {};
+      let zk = new Zookeeper({
+        compression: 'gzip'
+      }, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.uploadRevision('key', '1', [{ fileName: 'index.html', value: '<html></html>' }]).then(function() {
+        return zk.readFile('key', '1', 'index.html');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(content) {
+          assert.ok(zkEnvelope.decode(hash['/key/1/index.html']));
+          assert.equal(content.toString('utf8'), '<html></html>');
+        });
+    });
+
+    it('reads uncompressed files as they are', function() {
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = { '/key/1/index.html': '<html></html>' };
+        }
+      }));
+
+      return assert.isFulfilled(zk.readFile('key', '1', 'index.html'))
+        .then(function(content) {
+          assert.equal(content.toString('utf8'), '<html></html>');
+        });
+    });
+  });
+
+  describe('chunked storage', function() {
+    let content = Buffer.from(new Array(100).join('<p>chunk me</p>'), 'utf8');
+
+    it('stores files over maxNodeSize as ordered chunks and reads them back', function() {
+      let hash = {};
+      let zk = new Zookeeper({
+        maxNodeSize: 500
+      }, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.upload('key', '1', 'index.html', content).then(function() {
+        return zk.readFile('key', '1', 'index.html');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(read) {
+          let header = zkEnvelope.decode(hash['/key/1/index.html']).header;
+          assert.equal(header.chunks, 3);
+          assert.equal(header.size, content.length);
+          assert.ok('/key/1/index.html/chunk-0000000002' in hash);
+          assert.ok(read.equals(content));
+        });
+    });
+
+    it('deletes the chunks when trimming the revision', function() {
+      let hash = {};
+      let zk = new Zookeeper({
+        maxNodeSize: 500
+      }, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.upload('key', '1', 'index.html', content).then(function() {
+        return zk._client.deleteRecursive('/key/1');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.deepEqual(Object.keys(hash).filter(function(key) {
+            return key.indexOf('/key/1') === 0;
+          }), []);
+        });
+    });
+
+    it('refuses transactions larger than maxNodeSize', function() {
+      let zk = new Zookeeper({
+        maxNodeSize: 500
+      }, FakeZookeeper);
+
+      let promise = zk.uploadRevision('key', '1', [{ fileName: 'index.html', value: content }]);
+      return assert.isRejected(promise, /more than the 500 bytes a single transaction can carry/);
+    });
+  });
+
+  describe('#uploadRevision', function() {
+    it('writes the revision, its files and its registry entry in one transaction', function() {
+      let client;
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          client = this;
+        }
+      }));
+
+      let promise = zk.uploadRevision('key', '1', [
+        { fileName: 'index.html', value: '<html></html>' },
+        { fileName: 'robots.txt', value: 'bleep' }
+      ]);
+
+      return assert.isFulfilled(promise)
+        .then(function(keys) {
+          assert.deepEqual(keys, ['/key/1/index.html', '/key/1/robots.txt']);
+          assert.equal(client.transactions, 1);
+          assert.equal(client._hash['/key/1/index.html'].toString(), '<html></html>');
+          assert.equal(client._hash['/key/1/robots.txt'].toString(), 'bleep');
+          assert.ok(client._hash['/key/revisions/1']);
+        });
+    });
+
+    it('writes nothing when any op in the transaction fails', function() {
+      let hash;
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          hash = this._hash;
+        },
+        transaction() {
+          let transaction = this._super();
+          // Queue the registry entry up front so the real one collides.
+          transaction.create('/key/revisions/1');
+          return transaction;
+        }
+      }));
+
+      let promise = zk.uploadRevision('key', '1', [
+        { fileName: 'index.html', value: '<html></html>' }
+      ]);
+
+      return assert.isRejected(promise)
+        .then(function() {
+          assert.notOk('/key/1' in hash);
+          assert.notOk('/key/1/index.html' in hash);
+          assert.notOk('/key/revisions/1' in hash);
+        });
+    });
+
+    it('rejects if a file already exists in the revision', function() {
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = { '/key': '', '/key/revisions': '', '/key/1': '', '/key/1/index.html': 'old' };
+        }
+      }));
+
+      let promise = zk.uploadRevision('key', '1', [{ fileName: 'index.html', value: 'new' }]);
+      return assert.isRejected(promise, /^Value already exists for key: \/key\/1\/index.html/);
+    });
+
+    it('overwrites existing files when allowOverwrite is true', function() {
+      let hash = { '/key': '', '/key/revisions': '', '/key/1': '', '/key/1/index.html': 'old' };
+      let zk = new Zookeeper({
+        allowOverwrite: true
+      }, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.uploadRevision('key', '1', [{ fileName: 'index.html', value: 'new' }]);
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.equal(hash['/key/1/index.html'].toString(), 'new');
+          assert.ok(hash['/key/revisions/1']);
+        });
+    });
+  });
+
+  describe('acl', function() {
+    it('creates every node with the configured ACL', function() {
+      let client;
+      let zk = new Zookeeper({
+        acl: 'world-read/digest-write'
+      }, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          client = this;
+        }
+      }));
+
+      let promise = zk.willDeploy('key').then(function() {
+        return zk.upload('key', '1', 'index.html', 'value');
+      }).then(function() {
+        return zk.trimRecentUploads('key', '1');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.deepEqual(Object.keys(client._hash).sort(), Object.keys(client._acls).sort());
+          Object.keys(client._acls).forEach(function(path) {
+            assert.equal(zkAcl.describe(client._acls[path]), 'world:anyone:r, auth::crwda');
+          });
+        });
+    });
+
+    it('reports nodes whose ACL differs from the configured one', function() {
+      let zk = new Zookeeper({
+        acl: [{ scheme: 'world', id: 'anyone', permissions: 'r' }]
+      }, FakeZookeeper.extend({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = { '/key': '', '/key/revisions': '' };
+          this._acls = { '/key/revisions': zkAcl.parse([{ scheme: 'world', id: 'anyone', permissions: 'r' }]) };
+        }
+      }));
+
+      return assert.isFulfilled(zk.findAclMismatches('key'))
+        .then(function(mismatches) {
+          assert.deepEqual(mismatches, [{
+            path: '/key',
+            expected: 'world:anyone:r',
+            actual: 'world:anyone:crwda'
+          }]);
+        });
+    });
+
+    it('does not check ACLs when none are configured', function() {
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        getACL() {
+          throw new Error('should not be called');
+        }
+      }));
+
+      return assert.isFulfilled(zk.findAclMismatches('key'))
+        .then(function(mismatches) {
+          assert.deepEqual(mismatches, []);
+        });
+    });
+  });
+
   describe('#willActivate', function() {
     it('sets the previous revision to the current revision', function() {
       let hash = {
@@ -324,7 +682,8 @@ describe('zookeeper plugin', function() {
       let promise = zk.activate('key', 'notme');
       return assert.isRejected(promise)
         .then(function(error) {
-          assert.equal(error, '`notme` is not a valid revision key');
+          assert.equal(error.message, '`notme` is not a valid revision key');
+          assert.equal(error.code, ZKError.ZNONODE);
         });
     });
 
@@ -345,20 +704,13 @@ describe('zookeeper plugin', function() {
 
       let promise = zk.activate('key', '2');
       return assert.isFulfilled(promise)
-        .then(function(activatedKey) {
-          assert.equal(activatedKey, '2');
+        .then(function(result) {
+          assert.equal(result.revisionKey, '2');
         });
     });
-  });
-
-  describe('#fetchRevisions', function() {
-    it('lists the last existing revisions', function() {
-      let hash = {
-        '/key/revisions/1': '1',
-        '/key/revisions/2': '2',
-        '/key/revisions/3': '3'
-      };
 
+    it('records when the revision was activated', function() {
+      let hash = { '/key': '1', '/key/revisions/1': 1, '/key/revisions/2': 2 };
       let zk = new Zookeeper({}, FakeZookeeper.extend({
         init: function() {
           this._super.apply(this, arguments);
@@ -366,65 +718,1156 @@ describe('zookeeper plugin', function() {
         }
       }));
 
-      let promise = zk.fetchRevisions('key');
+      return assert.isFulfilled(zk.activate('key', '2'))
+        .then(function() {
+          return zk.fetchRevisions('key');
+        })
+        .then(function(revisions) {
+          assert.equal(revisions[1].timestamp, 2);
+          assert.isNumber(revisions[1].activatedAt);
+          assert.isUndefined(revisions[0].activatedAt);
+        });
+    });
+
+    it('activates when the pointer still has the expected version', function() {
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = { '/key': '1', '/key/revisions/1': 1, '/key/revisions/2': 2 };
+          this._versions = { '/key': 7 };
+        }
+      }));
+
+      let promise = zk.activeRevisionState('key').then(function(state) {
+        assert.deepEqual(state, { revision: '1', version: 7 });
+        return zk.activate('key', '2', { expectedVersion: state.version });
+      });
+
       return assert.isFulfilled(promise)
         .then(function(result) {
-          assert.deepEqual(result, [
-            {
-              revision: '1',
-              active: false,
-              timestamp: 1
-            },
-            {
-              revision: '2',
-              active: false,
-              timestamp: 2
-            },
-            {
-              revision: '3',
-              active: false,
-              timestamp: 3
-            }
-          ]);
+          assert.equal(result.revisionKey, '2');
         });
     });
 
-    it('lists the last existing revisions and marks the active one', function() {
-      let hash = {
-        '/key': '2',
-        '/key/revisions/1': '1',
-        '/key/revisions/2': '2',
-        '/key/revisions/3': '3'
-      };
-
+    it('rejects when another deploy moved the pointer since it was read', function() {
+      let hash = { '/key': '3', '/key/revisions/1': 1, '/key/revisions/2': 2, '/key/revisions/3': 3 };
       let zk = new Zookeeper({}, FakeZookeeper.extend({
         init: function() {
           this._super.apply(this, arguments);
           this._hash = hash;
+          this._versions = { '/key': 8 };
         }
       }));
 
-      let promise = zk.fetchRevisions('key');
-      return assert.isFulfilled(promise)
-        .then(function(result) {
-          assert.deepEqual(result, [
-            {
-              revision: '1',
-              active: false,
-              timestamp: 1
-            },
-            {
-              revision: '2',
+      let promise = zk.activate('key', '2', { expectedVersion: 7 });
+      return assert.isRejected(promise)
+        .then(function(error) {
+          assert.instanceOf(error, ZKError);
+          assert.equal(error.code, ZKError.ZBADVERSION);
+          assert.equal(error.path, '/key');
+          assert.match(error.message, /raced with another deploy/);
+          assert.equal(hash['/key'], '3');
+        });
+    });
+  });
+
+  describe('checksums', function() {
+    function checksumZk(hash) {
+      return new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+    }
+
+    it('stores the checksum next to the file', function() {
+      let hash = {};
+      let zk = checksumZk(hash);
+
+      let promise = zk.upload('key', '1', 'index.html', 'value')
+        .then(function() {
+          return zk.uploadChecksum('key', '1', 'index.html', 'abc123');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function(key) {
+          assert.equal(key, '/key/1/index.html/sha256');
+          assert.equal(hash['/key/1/index.html/sha256'], 'abc123');
+        });
+    });
+
+    it('uploads checksums in the same transaction as the revision', function() {
+      let hash = {};
+      let zk = checksumZk(hash);
+      let files = [{ fileName: 'index.html', value: 'value', sha256: zkEnvelope.sha256('value') }];
+
+      return assert.isFulfilled(zk.uploadRevision('key', '1', files))
+        .then(function(keys) {
+          assert.deepEqual(keys, ['/key/1/index.html']);
+          assert.equal(hash['/key/1/index.html/sha256'], zkEnvelope.sha256('value'));
+        });
+    });
+
+    it('activates and reports the verified checksums', function() {
+      let hash = {
+        '/key': '1',
+        '/key/revisions/1': 1,
+        '/key/revisions/2': 2,
+        '/key/2/index.html': 'new',
+        '/key/2/index.html/sha256': zkEnvelope.sha256('new'),
+        '/key/2/robots.txt': 'legacy'
+      };
+      let zk = checksumZk(hash);
+
+      return assert.isFulfilled(zk.activate('key', '2'))
+        .then(function(result) {
+          assert.equal(hash['/key'], '2');
+          assert.deepEqual(result.checksums, {
+            'index.html': zkEnvelope.sha256('new'),
+            'robots.txt': null
+          });
+        });
+    });
+
+    it('verifies compressed and chunked files against their original bytes', function() {
+      let hash = { '/key': '1', '/key/revisions/1': 1, '/key/revisions/2': 2 };
+      let zk = new Zookeeper({ compression: 'gzip', maxNodeSize: 16 }, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+      let content = 'some content that will not fit a single sixteen byte node';
+
+      let promise = zk.upload('key', '2', 'index.html', content)
+        .then(function() {
+          return zk.uploadChecksum('key', '2', 'index.html', zkEnvelope.sha256(content));
+        })
+        .then(function() {
+          return zk.activate('key', '2');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function(result) {
+          assert.deepEqual(result.checksums, { 'index.html': zkEnvelope.sha256(content) });
+        });
+    });
+
+    it('refuses to activate a revision whose content does not match its checksum', function() {
+      let hash = {
+        '/key': '1',
+        '/key/revisions/1': 1,
+        '/key/revisions/2': 2,
+        '/key/2/index.html': 'tampered',
+        '/key/2/index.html/sha256': zkEnvelope.sha256('original')
+      };
+      let zk = checksumZk(hash);
+
+      return assert.isRejected(zk.activate('key', '2'))
+        .then(function(error) {
+          assert.match(error.message, /Refusing to activate `2`, checksum mismatch for `index.html`/);
+          assert.equal(hash['/key'], '1');
+        });
+    });
+  });
+
+  describe('#fetchRevisions', function() {
+    it('lists the last existing revisions', function() {
+      let hash = {
+        '/key/revisions/1': '1',
+        '/key/revisions/2': '2',
+        '/key/revisions/3': '3'
+      };
+
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.fetchRevisions('key');
+      return assert.isFulfilled(promise)
+        .then(function(result) {
+          assert.deepEqual(result, [
+            {
+              revision: '1',
+              active: false,
+              pinned: false,
+              channels: [],
+              canary: false,
+              timestamp: 1
+            },
+            {
+              revision: '2',
+              active: false,
+              pinned: false,
+              channels: [],
+              canary: false,
+              timestamp: 2
+            },
+            {
+              revision: '3',
+              active: false,
+              pinned: false,
+              channels: [],
+              canary: false,
+              timestamp: 3
+            }
+          ]);
+        });
+    });
+
+    it('lists the last existing revisions and marks the active one', function() {
+      let hash = {
+        '/key': '2',
+        '/key/revisions/1': '1',
+        '/key/revisions/2': '2',
+        '/key/revisions/3': '3'
+      };
+
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.fetchRevisions('key');
+      return assert.isFulfilled(promise)
+        .then(function(result) {
+          assert.deepEqual(result, [
+            {
+              revision: '1',
+              active: false,
+              pinned: false,
+              channels: [],
+              canary: false,
+              timestamp: 1
+            },
+            {
+              revision: '2',
               active: true,
+              pinned: false,
+              channels: [],
+              canary: false,
               timestamp: 2
             },
             {
               revision: '3',
               active: false,
+              pinned: false,
+              channels: [],
+              canary: false,
               timestamp: 3
             }
           ]);
         });
     });
+
+    it('exposes the manifest of revisions uploaded with one next to legacy ones', function() {
+      let manifest = {
+        timestamp: 2,
+        files: [{ name: 'index.html', size: 5, sha256: 'abc' }],
+        deployer: 'alice',
+        hostname: 'build-1',
+        gitSha: '41d41f0',
+        gitBranch: 'master',
+        deployTarget: 'production',
+        pluginVersion: '1.0.0'
+      };
+      let hash = {
+        '/key': '1',
+        '/key/revisions/1': '1',
+        '/key/revisions/2': JSON.stringify(manifest)
+      };
+
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      return assert.isFulfilled(zk.fetchRevisions('key'))
+        .then(function(result) {
+          assert.deepEqual(result, [
+            { revision: '1', active: true, pinned: false, channels: [], canary: false, timestamp: 1 },
+            Object.assign({ revision: '2', active: false, pinned: false, channels: [], canary: false }, manifest)
+          ]);
+        });
+    });
+  });
+
+  describe('pinning', function() {
+    let hash, zk;
+
+    beforeEach(function() {
+      hash = { '/key': '12' };
+      for (let i = 1; i <= 12; i++) {
+        hash['/key/revisions/' + i] = String(i);
+        hash['/key/' + i] = '';
+        hash['/key/' + i + '/index.html'] = 'value';
+      }
+
+      zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+    });
+
+    it('keeps pinned revisions when trimming', function() {
+      let promise = zk.pin('key', '1', { user: 'alice' }).then(function() {
+        return zk.trimRecentUploads('key', '12');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(removed) {
+          assert.deepEqual(removed, []);
+          assert.ok('/key/revisions/1' in hash);
+          assert.ok('/key/1/index.html' in hash);
+          assert.equal(JSON.parse(hash['/key/pins/1']).user, 'alice');
+        });
+    });
+
+    it('trims revisions again once unpinned', function() {
+      let promise = zk.pin('key', '1')
+        .then(function() {
+          return zk.unpin('key', '1');
+        })
+        .then(function() {
+          return zk.trimRecentUploads('key', '12');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function(removed) {
+          assert.deepEqual(removed.map(function(removal) {
+            return removal.revision;
+          }), ['1']);
+          assert.notOk('/key/pins/1' in hash);
+        });
+    });
+
+    it('shows the pin status in fetchRevisions', function() {
+      let promise = zk.pin('key', '3').then(function() {
+        return zk.fetchRevisions('key');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(revisions) {
+          assert.deepEqual(revisions.filter(function(revision) {
+            return revision.pinned;
+          }).map(function(revision) {
+            return revision.revision;
+          }), ['3']);
+        });
+    });
+
+    it('rejects pinning a revision that was never uploaded', function() {
+      return assert.isRejected(zk.pin('key', 'nope'))
+        .then(function(error) {
+          assert.equal(error.message, '`nope` is not a valid revision key');
+          assert.equal(error.code, ZKError.ZNONODE);
+          assert.notOk('/key/pins/nope' in hash);
+        });
+    });
+  });
+
+  describe('channels', function() {
+    let hash, zk;
+
+    beforeEach(function() {
+      hash = { '/key': '12' };
+      for (let i = 1; i <= 12; i++) {
+        hash['/key/revisions/' + i] = String(i);
+        hash['/key/' + i + '/index.html'] = 'value';
+      }
+
+      zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+    });
+
+    it('activates channels independently of the main pointer', function() {
+      let promise = zk.activate('key', '3', { channel: 'beta' })
+        .then(function(result) {
+          assert.equal(result.revisionKey, '3');
+          return zk.activate('key', '4', { channel: 'stable' });
+        })
+        .then(function() {
+          return zk.listChannels('key');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function(channels) {
+          assert.deepEqual(channels, { beta: '3', stable: '4' });
+          assert.equal(hash['/key'], '12');
+        });
+    });
+
+    it('reports a channel that was never activated as empty', function() {
+      return assert.isFulfilled(zk.activeRevisionState('key', 'internal'))
+        .then(function(state) {
+          assert.deepEqual(state, { revision: null, version: undefined });
+        });
+    });
+
+    it('rejects invalid channel names', function() {
+      return assert.isRejected(zk.activate('key', '3', { channel: '../evil' }), /Invalid channel name `..\/evil`/)
+        .then(function() {
+          assert.notOk('/key/channels' in hash);
+        });
+    });
+
+    it('shows channels in fetchRevisions and keeps their revisions when trimming', function() {
+      let promise = zk.activate('key', '1', { channel: 'beta' })
+        .then(function() {
+          return zk.activate('key', '2', { channel: 'internal' });
+        })
+        .then(function() {
+          return zk.trimRecentUploads('key', '12');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function(removed) {
+          assert.deepEqual(removed, []);
+          return zk.fetchRevisions('key');
+        })
+        .then(function(revisions) {
+          assert.deepEqual(revisions.slice(0, 3).map(function(revision) {
+            return revision.channels;
+          }), [['beta'], ['internal'], []]);
+        });
+    });
+  });
+
+  describe('completeness check', function() {
+    function completenessZk(hash, options) {
+      return new Zookeeper(options || {}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+    }
+
+    it('refuses to activate a revision missing configured files or with empty ones', function() {
+      let hash = {
+        '/key': '1',
+        '/key/revisions/1': '1',
+        '/key/revisions/2': '2',
+        '/key/2/index.html': '',
+        '/key/2/robots.txt': 'User-agent: *'
+      };
+      let zk = completenessZk(hash, { files: ['index.html', 'app.css', 'robots.txt'] });
+
+      return assert.isRejected(zk.activate('key', '2'))
+        .then(function(error) {
+          assert.equal(error.message, 'Refusing to activate `2`, `index.html` is empty, `app.css` is missing');
+          assert.equal(hash['/key'], '1');
+        });
+    });
+
+    it('treats a file node created without data as empty', function() {
+      let hash = {
+        '/key': '1',
+        '/key/revisions/1': '1',
+        '/key/revisions/2': '2',
+        '/key/2/index.html': null
+      };
+      let zk = completenessZk(hash, { files: ['index.html'] });
+
+      return assert.isRejected(zk.activate('key', '2'), /`index.html` is empty/);
+    });
+
+    it('refuses to activate a revision that does not match its manifest', function() {
+      let manifest = {
+        timestamp: 2,
+        files: [
+          { name: 'index.html', size: 5, sha256: zkEnvelope.sha256('value') },
+          { name: 'robots.txt', size: 13, sha256: zkEnvelope.sha256('User-agent: *') },
+          { name: 'app.js', size: 3, sha256: zkEnvelope.sha256('foo') }
+        ]
+      };
+      let hash = {
+        '/key': '1',
+        '/key/revisions/1': '1',
+        '/key/revisions/2': JSON.stringify(manifest),
+        '/key/2/index.html': 'valu',
+        '/key/2/robots.txt': 'User-agent: a'
+      };
+      let zk = completenessZk(hash);
+
+      return assert.isRejected(zk.activate('key', '2'))
+        .then(function(error) {
+          assert.equal(error.message,
+            'Refusing to activate `2`, `index.html` is 4 bytes but the manifest says 5, ' +
+            '`robots.txt` does not match the sha256 in the manifest, `app.js` is missing'
+          );
+        });
+    });
+
+    it('activates a complete revision', function() {
+      let hash = {
+        '/key': '1',
+        '/key/revisions/1': '1',
+        '/key/revisions/2': JSON.stringify({
+          timestamp: 2,
+          files: [{ name: 'index.html', size: 5, sha256: zkEnvelope.sha256('value') }]
+        }),
+        '/key/2/index.html': 'value'
+      };
+      let zk = completenessZk(hash, { files: ['index.html'] });
+
+      return assert.isFulfilled(zk.activate('key', '2'))
+        .then(function() {
+          assert.equal(hash['/key'], '2');
+        });
+    });
+  });
+
+  describe('canary', function() {
+    let hash, zk;
+
+    beforeEach(function() {
+      hash = { '/key': '12' };
+      for (let i = 1; i <= 12; i++) {
+        hash['/key/revisions/' + i] = String(i);
+        hash['/key/' + i + '/index.html'] = 'value';
+      }
+
+      zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+    });
+
+    it('writes the routing document next to the untouched pointer', function() {
+      return assert.isFulfilled(zk.startCanary('key', '1', 10))
+        .then(function(result) {
+          assert.deepEqual(result.routing, { primary: '12', canary: '1', weight: 10 });
+          assert.deepEqual(JSON.parse(hash['/key/routing']), result.routing);
+          assert.equal(hash['/key'], '12');
+          return zk.fetchRevisions('key');
+        })
+        .then(function(revisions) {
+          assert.ok(revisions[0].canary);
+          assert.notOk(revisions[11].canary);
+        });
+    });
+
+    it('changes the weight of the running canary', function() {
+      let promise = zk.startCanary('key', '1', 10).then(function() {
+        return zk.startCanary('key', '1', 50);
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          return zk.canaryState('key');
+        })
+        .then(function(routing) {
+          assert.deepEqual(routing, { primary: '12', canary: '1', weight: 50 });
+        });
+    });
+
+    it('rejects a second canary while one is running', function() {
+      let promise = zk.startCanary('key', '1', 10).then(function() {
+        return zk.startCanary('key', '2', 10);
+      });
+
+      return assert.isRejected(promise, /A canary of `1` is already running on `\/key\/routing`/);
+    });
+
+    it('rejects weights that are not a percentage', function() {
+      return assert.isRejected(zk.startCanary('key', '1', 0), /must be a percentage above 0 and up to 100/)
+        .then(function() {
+          return assert.isRejected(zk.startCanary('key', '1', 101), /got `101`/);
+        });
+    });
+
+    it('promotes the canary to primary and drops the routing document', function() {
+      let promise = zk.startCanary('key', '1', 10).then(function() {
+        return zk.promoteCanary('key');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(result) {
+          assert.deepEqual(result, { revisionKey: '1' });
+          assert.equal(hash['/key'], '1');
+          assert.notOk('/key/routing' in hash);
+        });
+    });
+
+    it('refuses to promote when the pointer moved since it was read', function() {
+      let promise = zk.startCanary('key', '1', 10).then(function() {
+        return zk.promoteCanary('key', { expectedVersion: 5 });
+      });
+
+      return assert.isRejected(promise)
+        .then(function(error) {
+          assert.equal(error.code, ZKError.ZBADVERSION);
+          assert.match(error.message, /Promotion of canary `1` raced with another deploy/);
+          assert.equal(hash['/key'], '12');
+          assert.ok('/key/routing' in hash);
+        });
+    });
+
+    it('aborts the canary', function() {
+      let promise = zk.startCanary('key', '1', 10).then(function() {
+        return zk.abortCanary('key');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(routing) {
+          assert.equal(routing.canary, '1');
+          assert.equal(hash['/key'], '12');
+          assert.notOk('/key/routing' in hash);
+          return assert.isRejected(zk.abortCanary('key'), /No canary is running on `\/key\/routing`/);
+        });
+    });
+
+    it('rejects invalid channel names instead of throwing', function() {
+      let invalid = /Invalid channel name `..\/evil`/;
+
+      return RSVP.all([
+        assert.isRejected(zk.promoteCanary('key', { channel: '../evil' }), invalid),
+        assert.isRejected(zk.abortCanary('key', '../evil'), invalid),
+        assert.isRejected(zk.canaryState('key', '../evil'), invalid)
+      ]);
+    });
+
+    it('is ended by activating a revision outright', function() {
+      let promise = zk.startCanary('key', '1', 10).then(function() {
+        return zk.activate('key', '2');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.equal(hash['/key'], '2');
+          assert.notOk('/key/routing' in hash);
+        });
+    });
+
+    it('keeps the canary revision when trimming', function() {
+      let promise = zk.startCanary('key', '1', 10).then(function() {
+        return zk.trimRecentUploads('key', '12');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(removed) {
+          assert.deepEqual(removed, []);
+          assert.ok('/key/1/index.html' in hash);
+        });
+    });
+  });
+
+  describe('activation history', function() {
+    let hash, zk;
+
+    beforeEach(function() {
+      hash = { '/key': '1' };
+      for (let i = 1; i <= 4; i++) {
+        hash['/key/revisions/' + i] = String(i);
+        hash['/key/' + i + '/index.html'] = 'value';
+      }
+
+      zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+    });
+
+    function activateAll(keys) {
+      return keys.reduce(function(promise, key) {
+        return promise.then(function() {
+          return zk.activate('key', key, { info: { deployer: 'alice', reason: 'release ' + key } });
+        });
+      }, RSVP.resolve());
+    }
+
+    it('appends every activation as a sequential node', function() {
+      let promise = activateAll(['2', '3']).then(function() {
+        return zk.history('key');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(entries) {
+          assert.deepEqual(entries.map(function(entry) {
+            return [entry.id, entry.from, entry.to, entry.deployer, entry.reason];
+          }), [
+            ['activation-0000000001', '2', '3', 'alice', 'release 3'],
+            ['activation-0000000000', '1', '2', 'alice', 'release 2']
+          ]);
+          assert.isNumber(entries[0].timestamp);
+          assert.ok('/key/history/activation-0000000000' in hash);
+        });
+    });
+
+    it('keeps the history of each channel apart', function() {
+      let promise = activateAll(['2'])
+        .then(function() {
+          return zk.activate('key', '3', { channel: 'beta' });
+        })
+        .then(function() {
+          return RSVP.hash({ main: zk.history('key'), beta: zk.history('key', 'beta') });
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function(history) {
+          assert.deepEqual(history.main.map(function(entry) {
+            return entry.to;
+          }), ['2']);
+          assert.deepEqual(history.beta.map(function(entry) {
+            return [entry.from, entry.to];
+          }), [[null, '3']]);
+        });
+    });
+
+    it('rolls back one activation at a time', function() {
+      let promise = activateAll(['2', '3', '4'])
+        .then(function() {
+          return zk.rollback('key', { info: { deployer: 'bob' } });
+        })
+        .then(function(result) {
+          assert.equal(result.revisionKey, '3');
+          return zk.rollback('key');
+        })
+        .then(function(result) {
+          assert.equal(result.revisionKey, '2');
+          return zk.history('key');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function(entries) {
+          assert.equal(hash['/key'], '2');
+          assert.deepEqual(entries[1], Object.assign({}, entries[1], {
+            from: '4',
+            to: '3',
+            deployer: 'bob',
+            reason: 'rollback',
+            rollback: true
+          }));
+        });
+    });
+
+    it('rejects rolling back without an earlier activation', function() {
+      return assert.isRejected(zk.rollback('key'), /There is no earlier activation of `\/key` to roll back to/);
+    });
+
+    it('rejects rolling back when the pointer was changed behind its back', function() {
+      let promise = activateAll(['2']).then(function() {
+        hash['/key'] = '4';
+        return zk.rollback('key');
+      });
+
+      return assert.isRejected(promise, /The active revision `4` does not match the activation history/);
+    });
+
+    it('records canary promotions', function() {
+      let promise = zk.startCanary('key', '3', 10)
+        .then(function() {
+          return zk.promoteCanary('key', { info: { reason: 'canary looked good' } });
+        })
+        .then(function() {
+          return zk.history('key');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function(entries) {
+          assert.equal(entries[0].from, '1');
+          assert.equal(entries[0].to, '3');
+          assert.equal(entries[0].reason, 'canary looked good');
+        });
+    });
+  });
+
+  describe('revision manifest', function() {
+    it('is written as the revision entry by trimRecentUploads', function() {
+      let hash = {};
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.upload('key', '1', 'index.html', 'value').then(function() {
+        return zk.trimRecentUploads('key', '1', { deployer: 'alice', files: [] });
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          let entry = JSON.parse(hash['/key/revisions/1']);
+          assert.equal(entry.deployer, 'alice');
+          assert.deepEqual(entry.files, []);
+          assert.isNumber(entry.timestamp);
+        });
+    });
+
+    it('is written in the same transaction by uploadRevision', function() {
+      let hash = {};
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.uploadRevision('key', '1', [{ fileName: 'index.html', value: 'value' }], { deployer: 'alice' });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.equal(JSON.parse(hash['/key/revisions/1']).deployer, 'alice');
+        });
+    });
+
+    it('trims the oldest revisions when entries mix manifests and timestamps', function() {
+      let hash = { '/key': '12' };
+      for (let i = 1; i <= 12; i++) {
+        hash['/key/revisions/' + i] = i % 2 ? String(i) : JSON.stringify({ timestamp: i, deployer: 'alice' });
+        hash['/key/' + i + '/index.html'] = 'value';
+      }
+
+      let zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      return assert.isFulfilled(zk.trimRecentUploads('key', '12'))
+        .then(function() {
+          assert.notOk('/key/revisions/1' in hash);
+          assert.notOk('/key/1/index.html' in hash);
+          assert.ok('/key/revisions/2' in hash);
+        });
+    });
+  });
+
+  describe('dry run', function() {
+    let hash, zk, plan;
+
+    beforeEach(function() {
+      hash = {
+        '/key': '1',
+        '/key/revisions': '',
+        '/key/revisions/0': '0',
+        '/key/revisions/1': '1',
+        '/key/0': '',
+        '/key/0/index.html': 'value',
+        '/key/1': '',
+        '/key/1/index.html': 'value'
+      };
+      zk = new Zookeeper({ retention: 1 }, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+      plan = zk.dryRun({});
+    });
+
+    it('records writes instead of making them', function() {
+      let before = Object.assign({}, hash);
+      let promise = zk.willDeploy('key')
+        .then(function() {
+          return zk.upload('key', '2', 'index.html', 'hello');
+        })
+        .then(function() {
+          return zk.trimRecentUploads('key', '2');
+        })
+        .then(function() {
+          return zk.activate('key', '2', { info: {} });
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.deepEqual(hash, before);
+          assert.deepEqual(plan.mutations.map(function(mutation) {
+            return [mutation.type, mutation.path, mutation.bytes];
+          }), [
+            ['create', '/key/2', 0],
+            ['create', '/key/2/index.html', 5],
+            ['create', '/key/revisions/2', 13],
+            ['delete', '/key/revisions/0', undefined],
+            ['delete', '/key/0/index.html', undefined],
+            ['delete', '/key/0', undefined],
+            ['set', '/key', 1],
+            ['set', '/key/revisions/2', plan.mutations[7].bytes],
+            ['create', '/key/history', 0],
+            ['create', '/key/history/activation-0000000000', plan.mutations[9].bytes]
+          ]);
+        });
+    });
+
+    it('reads back what it would have written', function() {
+      let promise = zk.upload('key', '2', 'index.html', 'hello')
+        .then(zk.readFile.bind(zk, 'key', '2', 'index.html'));
+
+      return assert.isFulfilled(promise)
+        .then(function(contents) {
+          assert.equal(contents.toString(), 'hello');
+        });
+    });
+
+    it('still fails on paths that are missing on the server', function() {
+      return assert.isRejected(zk.activate('key', '3'), /`3` is not a valid revision key/)
+        .then(function() {
+          return assert.isRejected(zk._client.create('/missing/node'));
+        })
+        .then(function(error) {
+          assert.equal(error.code, ZKError.ZNONODE);
+          assert.deepEqual(plan.mutations, []);
+        });
+    });
+
+    it('flags writes the ACL of the server node does not allow', function() {
+      let zk = new Zookeeper({ auth: { scheme: 'digest', credentials: 'deployer:secret' } }, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = { '/key': '', '/key/revisions': '' };
+          this._acls = { '/key': zkAcl.parse([{ scheme: 'digest', id: 'someone:else=', permissions: 'crwda' }]) };
+        }
+      }));
+      let plan = zk.dryRun({});
+
+      return assert.isFulfilled(zk.upload('key', '2', 'index.html', 'hello'))
+        .then(function() {
+          assert.deepEqual(plan.mutations[0], {
+            type: 'create',
+            path: '/key/2',
+            bytes: 0,
+            allowed: false,
+            checkedPath: '/key'
+          });
+          assert.isNull(plan.mutations[1].allowed);
+        });
+    });
+
+    it('takes back the writes of a failed transaction', function() {
+      let promise = zk._client.transaction([
+        { type: 'create', path: '/key/3' },
+        { type: 'setData', path: '/key', data: '3', version: 7 }
+      ]);
+
+      return assert.isRejected(promise)
+        .then(function(error) {
+          assert.equal(error.code, ZKError.ZBADVERSION);
+          assert.deepEqual(plan.mutations, []);
+          return zk._exists('/key/3');
+        })
+        .then(function(exists) {
+          assert.notOk(exists);
+        });
+    });
+  });
+
+  describe('nested files', function() {
+    let hash, client, zk;
+
+    beforeEach(function() {
+      hash = {};
+      zk = new Zookeeper({ files: ['index.html'] }, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+          client = this;
+        },
+        // Unlike the default fake, only the direct parent counts, as on a real server.
+        _parentPathExists(path) {
+          let parent = path.slice(0, path.lastIndexOf('/'));
+          return !parent || parent in this._hash;
+        }
+      }));
+    });
+
+    it('creates the directories above nested files', function() {
+      let promise = zk.upload('key', '1', '.well-known/apple-app-site-association', '{}')
+        .then(function() {
+          return zk.uploadChecksum('key', '1', '.well-known/apple-app-site-association', 'abc');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.ok('/key/1/.well-known' in hash);
+          assert.equal(hash['/key/1/.well-known/apple-app-site-association'].toString(), '{}');
+          assert.equal(hash['/key/1/.well-known/apple-app-site-association/sha256'].toString(), 'abc');
+        });
+    });
+
+    it('creates the directories in the same transaction as the files', function() {
+      let promise = zk.uploadRevision('key', '1', [
+        { fileName: 'index.html', value: '<html></html>' },
+        { fileName: 'assets/config/app.json', value: '{}', sha256: 'abc' },
+        { fileName: 'assets/config.json', value: '{}' }
+      ]);
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.equal(client.transactions, 1);
+          assert.ok('/key/1/assets' in hash);
+          assert.ok('/key/1/assets/config' in hash);
+          assert.equal(hash['/key/1/assets/config/app.json'].toString(), '{}');
+          assert.equal(hash['/key/1/assets/config/app.json/sha256'].toString(), 'abc');
+        });
+    });
+
+    it('lists nested files by their relative path', function() {
+      let promise = zk.uploadRevision('key', '1', [
+        { fileName: 'index.html', value: '<html></html>', sha256: 'abc' },
+        { fileName: 'assets/config.json', value: '{}', sha256: 'def' }
+      ]).then(function() {
+        return zk.listFiles('key', '1');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(fileNames) {
+          assert.sameMembers(fileNames, ['index.html', 'assets/config.json']);
+        });
+    });
+
+    it('verifies nested files before activating', function() {
+      let files = [
+        { fileName: 'index.html', value: '<html></html>' },
+        { fileName: 'assets/config.json', value: '{}' }
+      ];
+      files.forEach(function(file) {
+        file.sha256 = zkEnvelope.sha256(file.value);
+      });
+
+      let promise = zk.uploadRevision('key', '1', files).then(function() {
+        return zk.activate('key', '1');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(result) {
+          assert.deepEqual(Object.keys(result.checksums).sort(), ['assets/config.json', 'index.html']);
+          hash['/key/1/assets/config.json'] = '';
+          return assert.isRejected(zk.activate('key', '1'), /`assets\/config.json` is empty/);
+        });
+    });
+
+    it('lists directories that only hold chunk-like file names', function() {
+      let files = [
+        { fileName: 'index.html', value: '<html></html>' },
+        { fileName: 'js/chunk-vendors.js', value: 'vendors' },
+        { fileName: 'js/chunk-0000000001', value: 'app' }
+      ];
+      files.forEach(function(file) {
+        file.sha256 = zkEnvelope.sha256(file.value);
+      });
+
+      let promise = zk.uploadRevision('key', '1', files).then(function() {
+        return zk.listFiles('key', '1');
+      });
+
+      return assert.isFulfilled(promise)
+        .then(function(fileNames) {
+          assert.deepEqual(fileNames.sort(), ['index.html', 'js/chunk-0000000001', 'js/chunk-vendors.js']);
+          return assert.isFulfilled(zk.activate('key', '1'));
+        })
+        .then(function(result) {
+          assert.deepEqual(Object.keys(result.checksums).sort(), ['index.html', 'js/chunk-0000000001', 'js/chunk-vendors.js']);
+        });
+    });
+
+    it('removes nested files and their directories when trimming', function() {
+      let zk = new Zookeeper({ retention: 0 }, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+
+      let promise = zk.upload('key', '1', 'assets/config.json', '{}')
+        .then(function() {
+          return zk.trimRecentUploads('key', '1');
+        })
+        .then(function() {
+          return zk.upload('key', '2', 'index.html', 'value');
+        })
+        .then(function() {
+          return zk.trimRecentUploads('key', '2');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.deepEqual(Object.keys(hash).filter(function(key) {
+            return key.indexOf('/key/1') === 0;
+          }), []);
+        });
+    });
+
+    it('rejects file names that leave the revision', function() {
+      return assert.isRejected(zk.upload('key', '1', '../2/index.html', '{}'), /Invalid file name `..\/2\/index.html`/)
+        .then(function() {
+          return assert.isRejected(zk.uploadRevision('key', '1', [{ fileName: '/etc/passwd', value: '' }]), /Invalid file name/);
+        });
+    });
+  });
+
+  describe('cleaning up after a failed upload', function() {
+    let hash, zk;
+
+    beforeEach(function() {
+      hash = {
+        '/key': '1',
+        '/key/revisions': '',
+        '/key/2': '',
+        '/key/2/robots.txt': 'bleep'
+      };
+      zk = new Zookeeper({}, FakeZookeeper.extend({
+        init: function() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      }));
+    });
+
+    it('lists only the nodes it created for the revision', function() {
+      let promise = zk.upload('key', '2', 'index.html', 'value')
+        .then(function() {
+          return zk.uploadChecksum('key', '2', 'index.html', 'abc');
+        })
+        .then(function() {
+          return zk.upload('key', '3', 'index.html', 'value');
+        })
+        .then(function() {
+          return zk.trimRecentUploads('key', '2');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.deepEqual(zk.createdNodes('key', '2'), [
+            '/key/2/index.html',
+            '/key/2/index.html/sha256',
+            '/key/revisions/2'
+          ]);
+        });
+    });
+
+    it('removes nodes deepest first and reports those it has to keep', function() {
+      hash['/key/2/index.html'] = 'value';
+      hash['/key/2/index.html/sha256'] = 'abc';
+
+      return assert.isFulfilled(zk.removeNodes(['/key/2/index.html', '/key/2', '/key/2/index.html/sha256']))
+        .then(function(result) {
+          assert.deepEqual(result.removed, ['/key/2/index.html/sha256', '/key/2/index.html']);
+          assert.deepEqual(result.kept.map(function(kept) {
+            return [kept.path, kept.error.code];
+          }), [['/key/2', ZKError.ZNOTEMPTY]]);
+          assert.equal(hash['/key/2/robots.txt'], 'bleep');
+        });
+    });
   });
 });
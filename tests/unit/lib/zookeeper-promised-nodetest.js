@@ -2,7 +2,11 @@
 const FakeZookeeper = require('../../helpers/fake-zk-client');
 const ZKError = require('../../../lib/zookeeper-error');
 const ZooKeeperPromised = require('../../../lib/zookeeper-promised');
+const zkAcl = require('../../../lib/zookeeper-acl');
 const assert  = require('../../helpers/assert');
+const Buffer = require('buffer').Buffer;
+const CreateMode = require('node-zookeeper-client').CreateMode;
+const RSVP = require('rsvp');
 
 describe('zookeeper promised', function() {
   function makePromised(fakerOverrides, opts) {
@@ -32,17 +36,349 @@ describe('zookeeper promised', function() {
           this._super.apply(this, arguments);
           instances.push(this);
         }
+      });
+
+      return assert.isFulfilled(promised.connect())
+        .then(function() {
+          return promised.connect();
+        })
+        .then(function() {
+          assert.equal(instances.length, 1);
+        });
+    });
+
+    it('opens a new client for the next request after connecting times out', function() {
+      let instances = [];
+      let promised = makePromised({
+        init() {
+          this._super.apply(this, arguments);
+          instances.push(this);
+        },
+        connect() {
+          // Only the second client reaches the server.
+          if (instances.length > 1) {
+            return this._super.apply(this, arguments);
+          }
+        }
+      }, {
+        connectionTimeout: 5
+      });
+
+      return assert.isRejected(promised.get('/'), /Timed out trying to connect to ZooKeeper/)
+        .then(function(error) {
+          assert.equal(error.code, ZKError.ZOPERATIONTIMEOUT);
+          assert.isNull(promised.connection);
+          return assert.isFulfilled(promised.get('/'));
+        })
+        .then(function() {
+          assert.equal(instances.length, 2);
+          assert.equal(promised.state, 'connected');
+        });
+    });
+  });
+
+  describe('#state', function() {
+    it('follows the session from connecting to closed', function() {
+      let promised = makePromised();
+      assert.equal(promised.state, 'disconnected');
+
+      let connection = promised.connect();
+      assert.equal(promised.state, 'connecting');
+
+      return assert.isFulfilled(connection)
+        .then(function() {
+          assert.equal(promised.state, 'connected');
+          return promised.close();
+        })
+        .then(function() {
+          assert.equal(promised.state, 'closed');
+          assert.isNull(promised.connection);
+        });
+    });
+
+    it('does not open a session just to close it', function() {
+      let created = 0;
+      let promised = makePromised({
+        init() {
+          this._super.apply(this, arguments);
+          created++;
+        }
+      });
+
+      return assert.isFulfilled(promised.close())
+        .then(function() {
+          assert.equal(created, 0);
+        });
+    });
+
+    it('is disconnected when connecting times out', function() {
+      let promised = makePromised({
+        connect() {}
       }, {
         connectionTimeout: 1
       });
 
-      return promised.connect().catch(function(err) {
-        assert.equal(err, 'Timed out trying to connect to ZooKeeper');
-        return promised.connect();
-      }).catch(function(err) {
-        assert.equal(err, 'Timed out trying to connect to ZooKeeper');
-        assert.equal(instances.length, 1);
+      return assert.isRejected(promised.connect(), /Timed out/)
+        .then(function() {
+          assert.equal(promised.state, 'disconnected');
+        });
+    });
+  });
+
+  describe('session', function() {
+    let clients;
+
+    function makeSessions(opts, hash) {
+      clients = [];
+      return makePromised({
+        init() {
+          this._super.apply(this, arguments);
+          if (hash) {
+            this._hash = hash;
+          }
+          clients.push(this);
+        }
+      }, opts);
+    }
+
+    function whenState(promised, state) {
+      return new RSVP.Promise(function(resolve) {
+        promised.on('state', function(current) {
+          if (current === state) {
+            resolve();
+          }
+        });
       });
+    }
+
+    it('resumes the same session after the connection drops', function() {
+      let states = [];
+      let promised = makeSessions();
+      promised.on('state', function(state, previous) {
+        states.push(previous + ' -> ' + state);
+      });
+
+      return assert.isFulfilled(promised.connect())
+        .then(function() {
+          clients[0]._emit('disconnected');
+          assert.equal(promised.state, 'reconnecting');
+
+          let request = promised.getChildren('/');
+          clients[0]._emit('connected');
+          return request;
+        })
+        .then(function() {
+          assert.equal(promised.state, 'connected');
+          assert.equal(clients.length, 1);
+          assert.deepEqual(states, [
+            'disconnected -> connecting',
+            'connecting -> connected',
+            'connected -> reconnecting',
+            'reconnecting -> connected'
+          ]);
+        });
+    });
+
+    it('gives up on the session after `reconnectTimeout` and opens a new one for the next request', function() {
+      let promised = makeSessions({ reconnectTimeout: 5 });
+
+      return assert.isFulfilled(promised.connect())
+        .then(function() {
+          clients[0]._emit('disconnected');
+          return assert.isRejected(promised.getChildren('/'), /Could not reconnect to ZooKeeper within 5ms/);
+        })
+        .then(function(error) {
+          assert.equal(error.code, ZKError.ZCONNECTIONLOSS);
+          assert.equal(promised.state, 'disconnected');
+          return assert.isFulfilled(promised.getChildren('/'));
+        })
+        .then(function() {
+          assert.equal(clients.length, 2);
+        });
+    });
+
+    it('opens a new session after expiry with the auth and watches of the old one', function() {
+      let hash = { '/watched': '' };
+      let events = [];
+      let states = [];
+      let promised = makeSessions({ auth: { scheme: 'digest', credentials: 'deployer:secret' } }, hash);
+      promised.on('state', function(state) {
+        states.push(state);
+      });
+
+      return assert.isFulfilled(promised.exists('/watched', function(event) {
+        events.push(event.name);
+      }))
+        .then(function() {
+          let reconnected = whenState(promised, 'connected');
+          clients[0]._emit('expired');
+          return reconnected;
+        })
+        .then(function() {
+          assert.deepEqual(states.slice(2), ['expired', 'connecting', 'connected']);
+          assert.equal(clients.length, 2);
+          assert.equal(clients[1].authInfo.length, 1);
+          assert.deepEqual(events, []);
+          return promised.delete('/watched');
+        })
+        .then(function() {
+          return new RSVP.Promise(function(resolve) {
+            setTimeout(resolve, 5);
+          });
+        })
+        .then(function() {
+          assert.deepEqual(events, ['NODE_DELETED']);
+        });
+    });
+
+    it('fires watches on nodes that changed while there was no session', function() {
+      let hash = {};
+      let events = [];
+      let promised = makeSessions({}, hash);
+
+      return assert.isFulfilled(promised.exists('/watched', function(event) {
+        events.push(event.name);
+      }))
+        .then(function() {
+          let reconnected = whenState(promised, 'connected');
+          clients[0]._emit('expired');
+          // Created by somebody else before the new session is up.
+          hash['/watched'] = '';
+          return reconnected;
+        })
+        .then(function() {
+          assert.deepEqual(events, ['NODE_CREATED']);
+        });
+    });
+
+    it('fails with ZSESSIONEXPIRED once a session holding ephemeral nodes expires', function() {
+      let events = [];
+      let promised = makeSessions();
+
+      return assert.isFulfilled(promised.create('/lock', 'owner', undefined, CreateMode.EPHEMERAL))
+        .then(function() {
+          return promised.exists('/lock', function(event) {
+            events.push(event.name);
+          });
+        })
+        .then(function() {
+          clients[0]._emit('expired');
+          assert.equal(promised.state, 'expired');
+          assert.deepEqual(events, ['SESSION_LOST']);
+          return assert.isRejected(promised.getChildren('/'));
+        })
+        .then(function(error) {
+          assert.instanceOf(error, ZKError);
+          assert.equal(error.code, ZKError.ZSESSIONEXPIRED);
+          assert.equal(clients.length, 1);
+          return promised.close();
+        })
+        .then(function() {
+          return assert.isFulfilled(promised.getChildren('/'));
+        })
+        .then(function() {
+          assert.equal(clients.length, 2);
+        });
+    });
+
+    it('opens a new session once the ephemeral nodes it held were deleted', function() {
+      let promised = makeSessions();
+
+      return assert.isFulfilled(promised.create('/lock', 'owner', undefined, CreateMode.EPHEMERAL))
+        .then(function() {
+          return promised.delete('/lock');
+        })
+        .then(function() {
+          clients[0]._emit('expired');
+          assert.equal(promised.state, 'expired');
+          return assert.isFulfilled(promised.getChildren('/'));
+        })
+        .then(function() {
+          assert.equal(clients.length, 2);
+        });
+    });
+
+    it('fails with ZAUTHFAILED once the server refuses the credentials of a session', function() {
+      let promised = makeSessions();
+
+      return assert.isFulfilled(promised.connect())
+        .then(function() {
+          clients[0]._emit('authenticationFailed');
+          assert.equal(promised.state, 'authFailed');
+          return assert.isRejected(promised.getChildren('/'));
+        })
+        .then(function(error) {
+          assert.equal(error.code, ZKError.ZAUTHFAILED);
+        });
+    });
+  });
+
+  describe('auth', function() {
+    it('adds the configured auth info once connected', function() {
+      let client;
+      let promised = makePromised({
+        init() {
+          this._super.apply(this, arguments);
+          client = this;
+        }
+      }, {
+        auth: [
+          { scheme: 'digest', credentials: 'deployer:secret' },
+          { scheme: 'ip', credentials: '127.0.0.1' }
+        ]
+      });
+
+      return assert.isFulfilled(promised.connect())
+        .then(function() {
+          assert.deepEqual(client.authInfo.map(function(info) {
+            return info.scheme + ' ' + info.auth.toString('utf8');
+          }), ['digest deployer:secret', 'ip 127.0.0.1']);
+        });
+    });
+
+    it('accepts a single auth entry', function() {
+      let client;
+      let promised = makePromised({
+        init() {
+          this._super.apply(this, arguments);
+          client = this;
+        }
+      }, {
+        auth: { scheme: 'digest', credentials: 'deployer:secret' }
+      });
+
+      return assert.isFulfilled(promised.connect())
+        .then(function() {
+          assert.equal(client.authInfo.length, 1);
+        });
+    });
+
+    it('rejects with ZAUTHFAILED when the server refuses the credentials', function() {
+      let closed = false;
+      let promised = makePromised({
+        addAuthInfo() {
+          this._callbacks.authenticationFailed();
+        },
+        close() {
+          closed = true;
+        }
+      }, {
+        auth: [{ scheme: 'digest', credentials: 'deployer:wrong' }]
+      });
+
+      return assert.isRejected(promised.connect())
+        .then(function(err) {
+          assert.instanceOf(err, ZKError);
+          assert.equal(err.code, ZKError.ZAUTHFAILED);
+          assert.equal(err.name, 'ZAUTHFAILED');
+          assert.ok(closed);
+        });
+    });
+
+    it('throws on auth entries without a scheme or credentials', function() {
+      assert.throws(function() {
+        makePromised({}, { auth: [{ scheme: 'digest' }] });
+      }, /require a `scheme` and `credentials`/);
     });
   });
 
@@ -60,6 +396,21 @@ describe('zookeeper promised', function() {
         });
     });
 
+    it('gets the raw bytes when asked to', function() {
+      let bytes = Buffer.from([0xff, 0x00, 0x89, 0x50]);
+      let promised = makePromised({
+        getData(path, cb) {
+          cb(null, bytes, {});
+        }
+      });
+
+      return assert.isFulfilled(promised.get('/test', { raw: true }))
+        .then(function(value) {
+          assert.ok(Buffer.isBuffer(value.data));
+          assert.ok(value.data.equals(bytes));
+        });
+    });
+
     it('rejects on errors', function() {
       let promised = makePromised({
         getData(path, cb) {
@@ -69,6 +420,25 @@ describe('zookeeper promised', function() {
 
       return assert.isRejected(promised.get('/test'), /System error/);
     })
+
+    it('wraps client errors in a ZKError with the request and path', function() {
+      let promised = makePromised({
+        getData(path, cb) {
+          // The real client fails with an Exception carrying the code.
+          cb({ code: ZKError.ZCONNECTIONLOSS, message: 'Exception: CONNECTION_LOSS[-4]' });
+        }
+      });
+
+      return assert.isRejected(promised.get('/test'))
+        .then(function(error) {
+          assert.instanceOf(error, ZKError);
+          assert.equal(error.name, 'ZCONNECTIONLOSS');
+          assert.equal(error.message, 'Connection to the server has been lost');
+          assert.equal(error.operation, 'get');
+          assert.equal(error.path, '/test');
+          assert.isTrue(error.retryable);
+        });
+    });
   });
 
   describe('#exists', function() {
@@ -122,6 +492,29 @@ describe('zookeeper promised', function() {
       return assert.isFulfilled(promised.set('/test', '/hi'));
     });
 
+    it('writes buffers without re-encoding them', function() {
+      let bytes = Buffer.from([0xff, 0x00, 0x89, 0x50]);
+      let promised = makePromised({
+        setData(p, d, cb) {
+          assert.ok(d.equals(bytes));
+          cb(null, {});
+        }
+      });
+
+      return assert.isFulfilled(promised.set('/test', bytes));
+    });
+
+    it('passes the expected version when one is given', function() {
+      let promised = makePromised({
+        setData(p, d, v, cb) {
+          assert.equal(v, 3);
+          cb(null, {});
+        }
+      });
+
+      return assert.isFulfilled(promised.set('/test', '/hi', 3));
+    });
+
     it('handles errors', function() {
       let promised = makePromised({
         setData(p, d, cb) {
@@ -154,6 +547,20 @@ describe('zookeeper promised', function() {
       return assert.isFulfilled(promised.create('/test'));
     });
 
+    it('creates values with the configured acl', function() {
+      let acl = zkAcl.parse('creator-all');
+      let promised = makePromised({
+        create(p, acls, cb) {
+          assert.equal(acls, acl);
+          cb(null, p);
+        }
+      }, {
+        acl: acl
+      });
+
+      return assert.isFulfilled(promised.create('/test'));
+    });
+
     it('handles errors', function() {
       let promised = makePromised({
         create(p, cb) {
@@ -165,6 +572,100 @@ describe('zookeeper promised', function() {
     });
   });
 
+  describe('#getACL', function() {
+    it('gets acls', function() {
+      let promised = makePromised({
+        getACL(path, cb) {
+          cb(null, zkAcl.parse('open'), {});
+        }
+      });
+
+      return assert.isFulfilled(promised.getACL('/test'))
+        .then(function(res) {
+          assert.equal(zkAcl.describe(res.acls), 'world:anyone:crwda');
+          assert.ok(res.stat);
+        });
+    });
+
+    it('handles errors', function() {
+      let promised = makePromised({
+        getACL(p, cb) {
+          cb('System error');
+        }
+      });
+
+      return assert.isRejected(promised.getACL('/test'), /System error/);
+    });
+  });
+
+  describe('#transaction', function() {
+    it('commits every op in a single multi request', function() {
+      let recorded = [];
+      let promised = makePromised({
+        transaction() {
+          let transaction = {
+            create(p, d, acls) {
+              recorded.push(['create', p, d && d.toString('utf8'), acls]);
+              return transaction;
+            },
+            setData(p, d, v) {
+              recorded.push(['setData', p, d.toString('utf8'), v]);
+              return transaction;
+            },
+            remove(p, v) {
+              recorded.push(['remove', p, v]);
+              return transaction;
+            },
+            check(p, v) {
+              recorded.push(['check', p, v]);
+              return transaction;
+            },
+            commit(cb) {
+              cb(null, ['results']);
+            }
+          };
+          return transaction;
+        }
+      });
+
+      return assert.isFulfilled(promised.transaction([
+        { type: 'create', path: '/a' },
+        { type: 'create', path: '/a/b', data: 'b' },
+        { type: 'setData', path: '/c', data: 3, version: 2 },
+        { type: 'remove', path: '/d', version: -1 },
+        { type: 'check', path: '/e', version: 1 }
+      ])).then(function(res) {
+        assert.deepEqual(res, { results: ['results'] });
+        assert.deepEqual(recorded, [
+          ['create', '/a', undefined, undefined],
+          ['create', '/a/b', 'b', undefined],
+          ['setData', '/c', '3', 2],
+          ['remove', '/d', -1],
+          ['check', '/e', 1]
+        ]);
+      });
+    });
+
+    it('rejects unknown ops', function() {
+      let promised = makePromised();
+      return assert.isRejected(promised.transaction([{ type: 'rename', path: '/a' }]), /Unknown transaction operation `rename`/);
+    });
+
+    it('handles errors', function() {
+      let promised = makePromised({
+        transaction() {
+          return {
+            commit(cb) {
+              cb('System error');
+            }
+          };
+        }
+      });
+
+      return assert.isRejected(promised.transaction([]), /System error/);
+    });
+  });
+
   describe('#delete', function() {
     it('deletes values', function() {
       let promised = makePromised({
@@ -187,6 +688,93 @@ describe('zookeeper promised', function() {
     });
   });
 
+  describe('#deleteRecursive', function() {
+    function nestedTree() {
+      let hash = { '/key': '', '/key/1': '' };
+      ['a', 'b', 'c'].forEach(function(dir) {
+        hash['/key/1/' + dir] = '';
+        for (let i = 0; i < 4; i++) {
+          hash['/key/1/' + dir + '/' + i] = 'value';
+          hash['/key/1/' + dir + '/' + i + '/chunk-0000000000'] = 'chunk';
+        }
+      });
+      return hash;
+    }
+
+    it('deletes nested nodes depth first', function() {
+      let hash = nestedTree();
+      let promised = makePromised({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = hash;
+        }
+      });
+
+      return assert.isFulfilled(promised.deleteRecursive('/key/1'))
+        .then(function() {
+          assert.deepEqual(Object.keys(hash), ['/key']);
+        });
+    });
+
+    it('keeps at most `concurrency` requests in flight', function() {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      function tracked(cb) {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        return function() {
+          inFlight--;
+          cb.apply(null, arguments);
+        };
+      }
+      let promised = makePromised({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = nestedTree();
+        },
+        getChildren(p, cb) {
+          return this._super(p, tracked(cb));
+        },
+        remove(p, v, cb) {
+          return this._super(p, v, tracked(cb));
+        }
+      });
+
+      return assert.isFulfilled(promised.deleteRecursive('/key/1', 2))
+        .then(function() {
+          assert.equal(maxInFlight, 2);
+        });
+    });
+
+    it('skips nodes that are already gone', function() {
+      let promised = makePromised({
+        getChildren(p, cb) {
+          cb(new ZKError(ZKError.ZNONODE));
+        }
+      });
+
+      return assert.isFulfilled(promised.deleteRecursive('/key/1'));
+    });
+
+    it('handles errors', function() {
+      let promised = makePromised({
+        init() {
+          this._super.apply(this, arguments);
+          this._hash = { '/key': '', '/key/1': '' };
+        },
+        remove(p, v, cb) {
+          cb(new ZKError(ZKError.ZNOAUTH));
+        }
+      });
+
+      return assert.isRejected(promised.deleteRecursive('/key')).then(function(error) {
+        assert.equal(error.code, ZKError.ZNOAUTH);
+        assert.equal(error.path, '/key/1');
+        assert.equal(error.operation, 'delete');
+      });
+    });
+  });
+
   describe('#getChildren', function() {
     it('getChildrens values', function() {
       let promised = makePromised({
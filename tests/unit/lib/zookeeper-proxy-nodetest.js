@@ -1,5 +1,6 @@
 'use strict';
 const ZookeeperProxy = require('../../../lib/zookeeper-proxy');
+const ZKError = require('../../../lib/zookeeper-error');
 const RSVP = require('rsvp');
 const assert  = require('../../helpers/assert');
 const CoreObject = require('core-object');
@@ -78,6 +79,15 @@ describe('zookeeper proxy', function() {
     });
   });
 
+  describe('#deleteRecursive', function() {
+    it('proxies', function() {
+      proxy = new ZookeeperProxy({}, ClientFactoryStub.extend({
+        getChildren(p, cb) { cb(null, []); }
+      }));
+      return assert.isFulfilled(proxy.deleteRecursive('/key'));
+    });
+  });
+
   describe('#create', function() {
     it('proxies', function() {
       return assert.isFulfilled(proxy.create('create'))
@@ -129,6 +139,218 @@ describe('zookeeper proxy', function() {
     });
   });
 
+  describe('#createdPaths', function() {
+    it('records the nodes created through the proxy, but not those that existed', function() {
+      let existing = ['/existing'];
+      proxy = new ZookeeperProxy({}, ClientFactoryStub.extend({
+        exists(path, cb) {
+          cb(null, existing.indexOf(path) > -1 ? {} : null);
+        },
+        create(path, cb) {
+          existing.push(path);
+          cb(null, path);
+        }
+      }));
+
+      let promise = proxy.createIfNotExists('/existing')
+        .then(function() {
+          return proxy.set('/new', 'value');
+        })
+        .then(function() {
+          return proxy.create('/created');
+        });
+
+      return assert.isFulfilled(promise)
+        .then(function() {
+          assert.deepEqual(proxy.createdPaths(), ['/new', '/created']);
+        });
+    });
+  });
+
+  describe('#open', function() {
+    it('keeps the session open when a request fails', function() {
+      let closed = 0;
+      proxy = new ZookeeperProxy({}, ClientFactoryStub.extend({
+        getData(p, cb) { cb('System error'); },
+        close() { closed++; }
+      }));
+
+      return assert.isFulfilled(proxy.open())
+        .then(function() {
+          return assert.isRejected(proxy.get('/key'), /System error/);
+        })
+        .then(function() {
+          assert.equal(closed, 0);
+          assert.equal(proxy.connectionState(), 'connected');
+          return proxy.close();
+        })
+        .then(function() {
+          assert.equal(closed, 1);
+          assert.equal(proxy.connectionState(), 'closed');
+        });
+    });
+
+    it('closes the session on a failed request when nobody opened it', function() {
+      let closed = 0;
+      proxy = new ZookeeperProxy({}, ClientFactoryStub.extend({
+        getData(p, cb) { cb('System error'); },
+        close() { closed++; }
+      }));
+
+      return assert.isRejected(proxy.get('/key'), /System error/)
+        .then(function() {
+          assert.equal(closed, 1);
+        });
+    });
+  });
+
+  describe('retrying', function() {
+    const retry = { maxAttempts: 3, baseDelay: 0, jitter: 0, retryOn: [ZKError.ZCONNECTIONLOSS] };
+
+    function flakyProxy(failures, overrides, options) {
+      let calls = { count: 0 };
+      let methods = {};
+
+      // Each method fails `failures` times before it succeeds.
+      overrides.forEach(function(method) {
+        let failed = 0;
+        methods[method] = function(...args) {
+          let cb = args.pop();
+          calls.count++;
+          return failed++ < failures ? cb(new ZKError(ZKError.ZCONNECTIONLOSS)) : cb(null, 'ok');
+        };
+      });
+
+      proxy = new ZookeeperProxy(Object.assign({ retry: retry }, options), ClientFactoryStub.extend(methods));
+      return calls;
+    }
+
+    it('retries reads that lose the connection', function() {
+      let calls = flakyProxy(2, ['getData']);
+
+      return assert.isFulfilled(proxy.get('/key'))
+        .then(function(res) {
+          assert.equal(res.data, 'ok');
+          assert.equal(calls.count, 3);
+        });
+    });
+
+    it('gives up after `maxAttempts`', function() {
+      let calls = flakyProxy(3, ['getChildren']);
+
+      return assert.isRejected(proxy.getChildren('/key'))
+        .then(function(error) {
+          assert.equal(error.code, ZKError.ZCONNECTIONLOSS);
+          assert.isTrue(error.retryable);
+          assert.equal(calls.count, 3);
+        });
+    });
+
+    it('retries connecting, even for writes that could apply twice', function() {
+      let clients = 0;
+      let retried = [];
+      proxy = new ZookeeperProxy({
+        connectionTimeout: 5,
+        retry: Object.assign({}, retry, { retryOn: [ZKError.ZOPERATIONTIMEOUT] }),
+        onRetry(attempt) {
+          retried.push(attempt.operation);
+        }
+      }, ClientFactoryStub.extend({
+        init() {
+          this._super.apply(this, arguments);
+          clients++;
+        },
+        connect() {
+          // The first attempt never reaches the server.
+          if (clients > 1) {
+            this._super.apply(this, arguments);
+          }
+        }
+      }));
+
+      return assert.isFulfilled(proxy.create('/key'))
+        .then(function() {
+          assert.equal(clients, 2);
+          assert.deepEqual(retried, ['connect']);
+        });
+    });
+
+    it('does not retry errors outside `retryOn`', function() {
+      let calls = 0;
+      proxy = new ZookeeperProxy({ retry: retry }, ClientFactoryStub.extend({
+        getData(p, cb) {
+          calls++;
+          cb(new ZKError(ZKError.ZNONODE));
+        }
+      }));
+
+      return assert.isRejected(proxy.get('/key'))
+        .then(function() {
+          assert.equal(calls, 1);
+        });
+    });
+
+    it('does not retry writes that could apply twice', function() {
+      let calls = flakyProxy(1, ['create', 'remove', 'setData']);
+
+      return assert.isRejected(proxy.create('/key'))
+        .then(function() {
+          return assert.isRejected(proxy.delete('/key'));
+        })
+        .then(function() {
+          return assert.isRejected(proxy.set('/key', 'value'));
+        })
+        .then(function() {
+          // `set` creates the missing node first, which now succeeds.
+          assert.equal(calls.count, 4);
+        });
+    });
+
+    it('retries writes guarded by a version', function() {
+      let calls = flakyProxy(1, ['setData']);
+
+      return assert.isFulfilled(proxy.set('/key', 'value', 3))
+        .then(function(res) {
+          assert.equal(res.stat, 'ok');
+          assert.equal(calls.count, 2);
+        });
+    });
+
+    it('reports every retry', function() {
+      let retries = [];
+      flakyProxy(2, ['exists'], {
+        onRetry(retried) {
+          retries.push(retried);
+        }
+      });
+
+      return assert.isFulfilled(proxy.exists('/key'))
+        .then(function() {
+          assert.deepEqual(retries.map(function(retried) {
+            return [retried.operation, retried.path, retried.attempt, retried.maxAttempts, retried.error.code];
+          }), [
+            ['exists', '/key', 2, 3, ZKError.ZCONNECTIONLOSS],
+            ['exists', '/key', 3, 3, ZKError.ZCONNECTIONLOSS]
+          ]);
+        });
+    });
+
+    it('does not retry when retrying is turned off', function() {
+      let calls = 0;
+      proxy = new ZookeeperProxy({ retry: { maxAttempts: 1 } }, ClientFactoryStub.extend({
+        getData(p, cb) {
+          calls++;
+          cb(new ZKError(ZKError.ZCONNECTIONLOSS));
+        }
+      }));
+
+      return assert.isRejected(proxy.get('/key'))
+        .then(function() {
+          assert.equal(calls, 1);
+        });
+    });
+  });
+
   describe('#set', function() {
     it('proxies', function() {
       return assert.isFulfilled(proxy.set('key', 'value'))